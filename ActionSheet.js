@@ -0,0 +1,107 @@
+/**
+ * Action Sheet Component
+ * Bottom sheet listing a set of actions, used for overflow menus
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * @param {Array} options - [{ key, label, icon, destructive }]
+ * @param {Function} onSelect - called with the chosen option's key after the sheet closes
+ */
+const ActionSheet = ({ visible, options, onSelect, onClose }) => {
+  const { theme } = useTheme();
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+
+      <View style={[styles.sheet, { backgroundColor: theme.colors.background }]}>
+        <View style={[styles.handle, { backgroundColor: theme.colors.border }]} />
+
+        {options.map(option => {
+          const color = option.destructive ? theme.colors.error : theme.colors.text;
+          return (
+            <TouchableOpacity
+              key={option.key}
+              style={styles.option}
+              onPress={() => {
+                onClose();
+                onSelect(option.key);
+              }}
+            >
+              <Ionicons name={option.icon} size={22} color={color} />
+              <Text style={[styles.optionText, { color }]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+
+        <TouchableOpacity
+          style={[styles.cancelButton, { backgroundColor: theme.colors.surface }]}
+          onPress={onClose}
+        >
+          <Text style={[styles.cancelText, { color: theme.colors.text }]}>
+            Cancel
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: 16,
+    paddingBottom: 32,
+  },
+  handle: {
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginVertical: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    gap: 16,
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  cancelButton: {
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ActionSheet;
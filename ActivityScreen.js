@@ -0,0 +1,229 @@
+/**
+ * Activity Screen
+ * Mentions and other things people did that involve the user
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  RefreshControl,
+} from 'react-native';
+import {
+  collection,
+  query,
+  orderBy,
+  limit,
+  getDocs,
+  writeBatch
+} from 'firebase/firestore';
+import { Ionicons } from '@expo/vector-icons';
+import { useIsFocused } from '@react-navigation/native';
+import { db } from '../firebase';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import Avatar from '../components/Avatar';
+import Loader from '../components/Loader';
+import { attachUsers } from '../utils/userResolver';
+
+const ACTIVITY_LIMIT = 50;
+
+const describeActivity = (item) => {
+  switch (item.type) {
+    case 'mention':
+      if (item.source === 'comment') return 'mentioned you in a comment';
+      if (item.source === 'message') return 'mentioned you in a message';
+      return 'mentioned you in a post';
+    case 'commentLike':
+      return 'liked your comment';
+    case 'tag':
+      return item.pending
+        ? 'tagged you in a post. Approve it to show it on your profile.'
+        : 'tagged you in a post';
+    default:
+      return 'interacted with you';
+  }
+};
+
+const ActivityScreen = ({ navigation }) => {
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const isFocused = useIsFocused();
+
+  useEffect(() => {
+    if (isFocused) {
+      loadActivity();
+    }
+  }, [isFocused]);
+
+  const loadActivity = async () => {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, 'users', user.uid, 'activity'),
+        orderBy('createdAt', 'desc'),
+        limit(ACTIVITY_LIMIT)
+      ));
+
+      const entries = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+      setActivity(await attachUsers(entries, 'actorId', 'actor'));
+
+      // Everything on screen has now been seen
+      const unread = snapshot.docs.filter(docSnap => !docSnap.data().read);
+      if (unread.length > 0) {
+        const batch = writeBatch(db);
+        unread.forEach(docSnap => batch.update(docSnap.ref, { read: true }));
+        await batch.commit();
+      }
+    } catch (error) {
+      console.error('Error loading activity:', error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const openActivity = (item) => {
+    if (item.postId) {
+      navigation.navigate('Comments', { postId: item.postId });
+    } else if (item.chatId) {
+      navigation.navigate('Chat', {
+        chatId: item.chatId,
+        userId: item.actorId,
+        userName: item.actor?.displayName || item.actor?.username
+      });
+    } else {
+      navigation.navigate('OtherProfile', { userId: item.actorId });
+    }
+  };
+
+  const formatTime = (timestamp) => {
+    if (!timestamp) return '';
+
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    const diff = Date.now() - date.getTime();
+
+    if (diff < 60000) return 'now';
+    if (diff < 3600000) return `${Math.floor(diff / 60000)}m`;
+    if (diff < 86400000) return `${Math.floor(diff / 3600000)}h`;
+    return `${Math.floor(diff / 86400000)}d`;
+  };
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={[
+        styles.activityItem,
+        !item.read && { backgroundColor: theme.colors.surface }
+      ]}
+      onPress={() => openActivity(item)}
+    >
+      <TouchableOpacity onPress={() => navigation.navigate('OtherProfile', { userId: item.actorId })}>
+        <Avatar
+          uri={item.actor?.avatar}
+          variants={item.actor?.avatarVariants}
+          size={44}
+          name={item.actor?.displayName || item.actor?.username}
+        />
+      </TouchableOpacity>
+
+      <View style={styles.activityInfo}>
+        <Text style={[styles.activityText, { color: theme.colors.text }]}>
+          <Text style={styles.actorName}>{item.actor?.username || 'Someone'}</Text>
+          {' '}{describeActivity(item)}
+          <Text style={{ color: theme.colors.textSecondary }}> {formatTime(item.createdAt)}</Text>
+        </Text>
+        {!!item.preview && (
+          <Text
+            style={[styles.preview, { color: theme.colors.textSecondary }]}
+            numberOfLines={2}
+          >
+            {item.preview}
+          </Text>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="notifications-outline" size={64} color={theme.colors.textSecondary} />
+      <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+        No activity yet
+      </Text>
+    </View>
+  );
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <FlatList
+        data={activity}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={activity.length === 0 ? styles.emptyList : null}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={() => {
+              setRefreshing(true);
+              loadActivity();
+            }}
+            tintColor={theme.colors.primary}
+          />
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  emptyList: {
+    flex: 1,
+  },
+  activityItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  activityInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  activityText: {
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  actorName: {
+    fontWeight: '600',
+  },
+  preview: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 16,
+    marginTop: 16,
+  },
+});
+
+export default ActivityScreen;
@@ -13,9 +13,21 @@ import Toast from 'react-native-toast-message';
 import * as Notifications from 'expo-notifications';
 import { AuthProvider } from './context/AuthContext';
 import { ThemeProvider } from './context/ThemeContext';
+import { SavedPostsProvider } from './context/SavedPostsContext';
+import { VideoProvider } from './context/VideoContext';
 import RootStack from './navigation/RootStack';
 import { initializeFirebase } from './firebase';
 
+// Opens links copied from a post's menu, e.g. riseup://post/abc123
+const linking = {
+  prefixes: ['riseup://'],
+  config: {
+    screens: {
+      Comments: 'post/:postId',
+    },
+  },
+};
+
 // Configure notifications
 Notifications.setNotificationHandler({
   handleNotification: async () => ({
@@ -57,11 +69,15 @@ export default function App() {
   return (
     <ThemeProvider>
       <AuthProvider>
-        <NavigationContainer>
-          <StatusBar style="auto" />
-          <RootStack />
-          <Toast />
-        </NavigationContainer>
+        <SavedPostsProvider>
+          <VideoProvider>
+            <NavigationContainer linking={linking}>
+              <StatusBar style="auto" />
+              <RootStack />
+              <Toast />
+            </NavigationContainer>
+          </VideoProvider>
+        </SavedPostsProvider>
       </AuthProvider>
     </ThemeProvider>
   );
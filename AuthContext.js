@@ -21,6 +21,8 @@ import { doc, setDoc, getDoc, updateDoc } from 'firebase/firestore';
 import { auth, db } from '../firebase';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import Toast from 'react-native-toast-message';
+import { primeUser, clearUserCache } from '../utils/userResolver';
+import { clearFeedCache } from '../utils/feedCache';
 
 const AuthContext = createContext({});
 
@@ -47,6 +49,7 @@ export const AuthProvider = ({ children }) => {
           setUser(null);
           setUserProfile(null);
           await AsyncStorage.removeItem('userToken');
+          await clearUserCache();
         }
       } catch (error) {
         console.error('Auth state change error:', error);
@@ -63,6 +66,8 @@ export const AuthProvider = ({ children }) => {
       const userDoc = await getDoc(doc(db, 'users', uid));
       if (userDoc.exists()) {
         setUserProfile(userDoc.data());
+        // Keep the shared profile cache in step with edits to our own profile
+        primeUser(uid, userDoc.data());
       }
     } catch (error) {
       console.error('Error loading user profile:', error);
@@ -91,7 +96,8 @@ export const AuthProvider = ({ children }) => {
         settings: {
           twoFactorEnabled: false,
           notifications: true,
-          privacy: 'public'
+          privacy: 'public',
+          mentions: 'everyone'
         },
         createdAt: new Date(),
         lastActive: new Date()
@@ -174,7 +180,8 @@ export const AuthProvider = ({ children }) => {
           settings: {
             twoFactorEnabled: false,
             notifications: true,
-            privacy: 'public'
+            privacy: 'public',
+            mentions: 'everyone'
           },
           createdAt: new Date(),
           lastActive: new Date()
@@ -232,7 +239,8 @@ export const AuthProvider = ({ children }) => {
           settings: {
             twoFactorEnabled: false,
             notifications: true,
-            privacy: 'public'
+            privacy: 'public',
+            mentions: 'everyone'
           },
           createdAt: new Date(),
           lastActive: new Date()
@@ -282,6 +290,9 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
+      if (user) {
+        await clearFeedCache(user.uid);
+      }
       await signOut(auth);
       await AsyncStorage.removeItem('userToken');
       Toast.show({
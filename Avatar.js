@@ -4,10 +4,15 @@
  */
 
 import React from 'react';
-import { View, Text, Image, StyleSheet } from 'react-native';
+import { View, Text, StyleSheet } from 'react-native';
+import { Image } from 'expo-image';
 import { useTheme } from '../context/ThemeContext';
+import { pickVariantURL, getBlurhash } from '../utils/imageVariants';
 
-const Avatar = ({ uri, size = 40, name = '', style }) => {
+/**
+ * @param {object} variants - the profile's avatarVariants, when the server has made them
+ */
+const Avatar = ({ uri, variants, size = 40, name = '', style }) => {
   const { theme } = useTheme();
 
   const getInitials = (name) => {
@@ -28,9 +33,12 @@ const Avatar = ({ uri, size = 40, name = '', style }) => {
   if (uri) {
     return (
       <Image
-        source={{ uri }}
+        source={{ uri: pickVariantURL(variants, size, uri) }}
         style={[avatarStyle, style]}
-        defaultSource={require('../assets/default-avatar.png')}
+        placeholder={getBlurhash(variants)
+          ? { blurhash: getBlurhash(variants) }
+          : require('../assets/default-avatar.png')}
+        contentFit="cover"
       />
     );
   }
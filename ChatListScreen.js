@@ -16,9 +16,7 @@ import {
   query, 
   where, 
   orderBy, 
-  onSnapshot,
-  doc,
-  getDoc
+  onSnapshot
 } from 'firebase/firestore';
 import { Ionicons } from '@expo/vector-icons';
 import { db } from '../firebase';
@@ -26,6 +24,7 @@ import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import Avatar from '../components/Avatar';
 import Loader from '../components/Loader';
+import { attachUsers } from '../utils/userResolver';
 
 const ChatListScreen = ({ navigation }) => {
   const [chats, setChats] = useState([]);
@@ -45,24 +44,14 @@ const ChatListScreen = ({ navigation }) => {
 
     const unsubscribe = onSnapshot(chatsQuery, async (snapshot) => {
       try {
-        const chatList = [];
-        
-        for (const docSnap of snapshot.docs) {
+        const chatList = snapshot.docs.map(docSnap => {
           const chatData = { id: docSnap.id, ...docSnap.data() };
-          
-          // Get other participant's data
-          const otherUserId = chatData.participants.find(id => id !== user.uid);
-          if (otherUserId) {
-            const userDoc = await getDoc(doc(db, 'users', otherUserId));
-            if (userDoc.exists()) {
-              chatData.otherUser = userDoc.data();
-            }
-          }
-          
-          chatList.push(chatData);
-        }
+          chatData.otherUserId = chatData.participants.find(id => id !== user.uid);
+          return chatData;
+        });
         
-        setChats(chatList);
+        // Get other participants' data in one batch
+        setChats(await attachUsers(chatList, 'otherUserId', 'otherUser'));
       } catch (error) {
         console.error('Error loading chats:', error);
       } finally {
@@ -97,6 +86,7 @@ const ChatListScreen = ({ navigation }) => {
     >
       <Avatar
         uri={item.otherUser?.avatar}
+        variants={item.otherUser?.avatarVariants}
         size={50}
         name={item.otherUser?.displayName || item.otherUser?.username}
       />
@@ -18,19 +18,20 @@ import {
   collection, 
   query, 
   orderBy, 
-  onSnapshot,
-  addDoc,
-  doc,
-  updateDoc,
-  serverTimestamp
+  onSnapshot
 } from 'firebase/firestore';
 import { Ionicons } from '@expo/vector-icons';
 import { db } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import Avatar from '../components/Avatar';
+import SharedPostMessage from '../components/SharedPostMessage';
+import LinkedText from '../components/LinkedText';
+import MentionSuggestions, { useMentionAutocomplete } from '../components/MentionSuggestions';
+import { sendChatMessage } from '../utils/chatService';
+import { resolveMentions } from '../utils/mentions';
 
-const ChatScreen = ({ route }) => {
+const ChatScreen = ({ route, navigation }) => {
   const { chatId, userId, userName } = route.params;
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
@@ -39,6 +40,7 @@ const ChatScreen = ({ route }) => {
 
   const { user, userProfile } = useAuth();
   const { theme } = useTheme();
+  const mentionAutocomplete = useMentionAutocomplete(newMessage, setNewMessage);
 
   useEffect(() => {
     if (chatId) {
@@ -72,23 +74,12 @@ const ChatScreen = ({ route }) => {
     if (!newMessage.trim()) return;
 
     try {
-      const messageData = {
-        text: newMessage.trim(),
-        senderId: user.uid,
-        senderName: userProfile?.displayName || userProfile?.username,
-        senderAvatar: userProfile?.avatar || '',
-        createdAt: serverTimestamp(),
-        seen: false
-      };
-
-      await addDoc(collection(db, 'chats', chatId, 'messages'), messageData);
-      
-      // Update chat's last message
-      await updateDoc(doc(db, 'chats', chatId), {
-        lastMessage: newMessage.trim(),
-        lastMessageAt: serverTimestamp(),
-        lastMessageSender: user.uid
-      });
+      await sendChatMessage(
+        chatId,
+        { uid: user.uid, profile: userProfile },
+        { text: newMessage.trim(), mentions: await resolveMentions(newMessage) },
+        newMessage.trim()
+      );
 
       setNewMessage('');
     } catch (error) {
@@ -107,6 +98,12 @@ const ChatScreen = ({ route }) => {
     });
   };
 
+  const openProfile = (mentionedId) => {
+    if (mentionedId !== user.uid) {
+      navigation.navigate('OtherProfile', { userId: mentionedId });
+    }
+  };
+
   const renderMessage = ({ item, index }) => {
     const isOwnMessage = item.senderId === user.uid;
     const showAvatar = !isOwnMessage && (
@@ -134,12 +131,25 @@ const ChatScreen = ({ route }) => {
             : [styles.otherMessageBubble, { backgroundColor: theme.colors.surface }],
           !showAvatar && !isOwnMessage && styles.messageWithoutAvatar
         ]}>
-          <Text style={[
-            styles.messageText,
-            { color: isOwnMessage ? theme.colors.background : theme.colors.text }
-          ]}>
-            {item.text}
-          </Text>
+          {item.type === 'post' ? (
+            <SharedPostMessage
+              postId={item.postId}
+              onPress={() => navigation.navigate('Comments', { postId: item.postId })}
+            />
+          ) : (
+            <Text style={[
+              styles.messageText,
+              { color: isOwnMessage ? theme.colors.background : theme.colors.text }
+            ]}>
+              <LinkedText
+                text={item.text}
+                mentions={item.mentions}
+                linkColor={isOwnMessage ? theme.colors.background : undefined}
+                onHashtagPress={(tag) => navigation.navigate('Hashtag', { tag })}
+                onMentionPress={openProfile}
+              />
+            </Text>
+          )}
           
           <Text style={[
             styles.messageTime,
@@ -177,6 +187,12 @@ const ChatScreen = ({ route }) => {
         </View>
       )}
 
+      <MentionSuggestions
+        suggestions={mentionAutocomplete.suggestions}
+        onSelect={mentionAutocomplete.selectSuggestion}
+        style={styles.mentionSuggestions}
+      />
+
       {/* Message Input */}
       <View style={[styles.inputContainer, { 
         backgroundColor: theme.colors.surface,
@@ -192,6 +208,7 @@ const ChatScreen = ({ route }) => {
           placeholderTextColor={theme.colors.textSecondary}
           value={newMessage}
           onChangeText={setNewMessage}
+          onSelectionChange={mentionAutocomplete.onSelectionChange}
           multiline
           maxLength={1000}
         />
@@ -218,6 +235,10 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
+  mentionSuggestions: {
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
   messagesList: {
     padding: 16,
   },
@@ -0,0 +1,279 @@
+/**
+ * Comment Item Component
+ * A single comment or reply with its like button and actions. Deleted
+ * comments that still have replies render as a placeholder, and comments
+ * still being posted are dimmed without actions.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import Avatar from './Avatar';
+import LinkedText from './LinkedText';
+import { likeComment, unlikeComment } from '../utils/comments';
+
+/**
+ * @param {boolean} liked - whether the viewer liked it, loaded per page by the screen
+ * @param {function} onLikeChange - told about the viewer's likes so they survive re-mounts
+ * @param {function} onReply - left out where the viewer can't comment
+ * @param {function} onPinToggle - set only where the viewer can pin this comment
+ * @param {function} onEdit - set only for the viewer's own comments
+ * @param {function} onDelete - set for the viewer's own comments and on their posts
+ */
+const CommentItem = ({
+  postId,
+  comment,
+  pinned = false,
+  liked = false,
+  onLikeChange,
+  onReply,
+  onPinToggle,
+  onEdit,
+  onDelete,
+  onProfilePress,
+  onHashtagPress,
+  onMentionPress,
+}) => {
+  const [isLiked, setIsLiked] = useState(liked);
+  const [likesCount, setLikesCount] = useState(comment.likeCount || 0);
+  const [liking, setLiking] = useState(false);
+
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const isReply = !!comment.parentId;
+
+  useEffect(() => {
+    setLikesCount(comment.likeCount || 0);
+  }, [comment.likeCount]);
+
+  useEffect(() => {
+    setIsLiked(liked);
+  }, [liked]);
+
+  const handleLike = async () => {
+    if (liking) return;
+
+    setLiking(true);
+    const newLikedState = !isLiked;
+
+    // Optimistic UI update
+    setIsLiked(newLikedState);
+    setLikesCount(prev => newLikedState ? prev + 1 : prev - 1);
+
+    try {
+      if (newLikedState) {
+        await likeComment(postId, comment.id, user.uid);
+      } else {
+        await unlikeComment(postId, comment.id, user.uid);
+      }
+      onLikeChange?.(comment.id, newLikedState);
+    } catch (error) {
+      console.error('Error updating comment like:', error);
+      setIsLiked(!newLikedState);
+      setLikesCount(prev => newLikedState ? prev - 1 : prev + 1);
+    } finally {
+      setLiking(false);
+    }
+  };
+
+  const formatTime = (timestamp) => {
+    if (!timestamp) return '';
+
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    const now = new Date();
+    const diff = now - date;
+
+    if (diff < 60000) return 'now';
+    if (diff < 3600000) return `${Math.floor(diff / 60000)}m`;
+    if (diff < 86400000) return `${Math.floor(diff / 3600000)}h`;
+    return `${Math.floor(diff / 86400000)}d`;
+  };
+
+  if (comment.deleted) {
+    return (
+      <View style={[styles.commentItem, { backgroundColor: theme.colors.surface }]}>
+        <Text style={[styles.deletedText, { color: theme.colors.textSecondary }]}>
+          Comment deleted
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View
+      style={[
+        styles.commentItem,
+        isReply && styles.replyItem,
+        comment.pending && styles.pendingItem,
+        { backgroundColor: theme.colors.surface }
+      ]}
+    >
+      <TouchableOpacity onPress={() => onProfilePress(comment.userId)}>
+        <Avatar
+          uri={comment.user?.avatar}
+          variants={comment.user?.avatarVariants}
+          size={isReply ? 24 : 32}
+          name={comment.user?.displayName || comment.user?.username}
+        />
+      </TouchableOpacity>
+
+      <View style={styles.commentContent}>
+        {pinned && (
+          <View style={styles.pinnedLabel}>
+            <Ionicons name="pin" size={12} color={theme.colors.textSecondary} />
+            <Text style={[styles.pinnedText, { color: theme.colors.textSecondary }]}>
+              Pinned
+            </Text>
+          </View>
+        )}
+
+        <View style={styles.commentHeader}>
+          <TouchableOpacity onPress={() => onProfilePress(comment.userId)}>
+            <Text style={[styles.commentUsername, { color: theme.colors.text }]}>
+              {comment.user?.displayName || comment.user?.username || 'Unknown User'}
+            </Text>
+          </TouchableOpacity>
+          <Text style={[styles.commentTime, { color: theme.colors.textSecondary }]}>
+            {formatTime(comment.createdAt)}
+          </Text>
+        </View>
+
+        <Text style={[styles.commentText, { color: theme.colors.text }]}>
+          <LinkedText
+            text={comment.text}
+            mentions={comment.mentions}
+            onHashtagPress={onHashtagPress}
+            onMentionPress={onMentionPress}
+          />
+          {!!comment.editedAt && (
+            <Text style={{ color: theme.colors.textSecondary }}> (edited)</Text>
+          )}
+        </Text>
+
+        {!comment.pending && (
+          <View style={styles.actions}>
+            {onReply && (
+              <TouchableOpacity onPress={() => onReply(comment)}>
+                <Text style={[styles.action, { color: theme.colors.textSecondary }]}>
+                  Reply
+                </Text>
+              </TouchableOpacity>
+            )}
+            {onPinToggle && (
+              <TouchableOpacity onPress={() => onPinToggle(comment, !pinned)}>
+                <Text style={[styles.action, { color: theme.colors.textSecondary }]}>
+                  {pinned ? 'Unpin' : 'Pin'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            {onEdit && (
+              <TouchableOpacity onPress={() => onEdit(comment)}>
+                <Text style={[styles.action, { color: theme.colors.textSecondary }]}>
+                  Edit
+                </Text>
+              </TouchableOpacity>
+            )}
+            {onDelete && (
+              <TouchableOpacity onPress={() => onDelete(comment)}>
+                <Text style={[styles.action, { color: theme.colors.textSecondary }]}>
+                  Delete
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </View>
+
+      <TouchableOpacity style={styles.likeButton} onPress={handleLike} disabled={comment.pending}>
+        <Ionicons
+          name={isLiked ? 'heart' : 'heart-outline'}
+          size={16}
+          color={isLiked ? theme.colors.error : theme.colors.textSecondary}
+        />
+        {likesCount > 0 && (
+          <Text style={[styles.likeCount, { color: theme.colors.textSecondary }]}>
+            {likesCount}
+          </Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  commentItem: {
+    flexDirection: 'row',
+    padding: 16,
+    marginHorizontal: 16,
+    marginVertical: 4,
+    borderRadius: 12,
+  },
+  replyItem: {
+    marginLeft: 56,
+    padding: 12,
+  },
+  pendingItem: {
+    opacity: 0.5,
+  },
+  commentContent: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  pinnedLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+    gap: 4,
+  },
+  pinnedText: {
+    fontSize: 12,
+  },
+  commentHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  commentUsername: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginRight: 8,
+  },
+  commentTime: {
+    fontSize: 12,
+  },
+  commentText: {
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  deletedText: {
+    fontSize: 14,
+    fontStyle: 'italic',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 6,
+    gap: 16,
+  },
+  action: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  likeButton: {
+    alignItems: 'center',
+    marginLeft: 8,
+    minWidth: 24,
+  },
+  likeCount: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+});
+
+export default CommentItem;
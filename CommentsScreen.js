@@ -1,9 +1,11 @@
 /**
  * Comments Screen
- * Displays post comments with real-time updates
+ * Displays post comments. The newest page updates in real time and older
+ * pages load on scroll. Replies sit one level deep under their comment and
+ * are loaded a page at a time.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -13,25 +15,65 @@ import {
   TouchableOpacity,
   KeyboardAvoidingView,
   Platform,
+  Alert,
 } from 'react-native';
 import { 
-  collection, 
-  query, 
-  orderBy, 
   onSnapshot,
-  addDoc,
   doc,
-  getDoc,
-  updateDoc,
-  increment
+  getDoc
 } from 'firebase/firestore';
+import Toast from 'react-native-toast-message';
 import { Ionicons } from '@expo/vector-icons';
+import { useIsFocused } from '@react-navigation/native';
 import { db } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { useVideo } from '../context/VideoContext';
 import PostCard from '../components/PostCard';
 import Avatar from '../components/Avatar';
 import Loader from '../components/Loader';
+import CommentItem from '../components/CommentItem';
+import TextPromptModal from '../components/TextPromptModal';
+import MentionSuggestions, { useMentionAutocomplete } from '../components/MentionSuggestions';
+import { attachUsers, getUser } from '../utils/userResolver';
+import { fetchRelationships } from '../utils/followService';
+import { attachTopLikers } from '../utils/likeService';
+import {
+  COMMENTS_PAGE_SIZE,
+  COMMENT_SORTS,
+  MAX_PINNED_COMMENTS,
+  latestCommentsQuery,
+  fetchOlderComments,
+  fetchTopComments,
+  fetchCommentsByIds,
+  fetchOwnHiddenComments,
+  fetchLikedCommentIds,
+  fetchReplies,
+  createComment,
+  addComment,
+  editComment,
+  deleteComment,
+  setPinnedComments,
+  sortComments,
+  getCommentSetting,
+  canComment,
+  isCommentVisibleTo
+} from '../utils/comments';
+
+const toMillis = (timestamp) =>
+  timestamp?.toMillis ? timestamp.toMillis() : new Date(timestamp).getTime();
+
+// Adds or updates comments by id, keeping fields such as the resolved
+// author that the new data doesn't carry
+const upsertComments = (current, updates) => {
+  const byId = new Map(current.map(comment => [comment.id, comment]));
+  updates.forEach(comment => byId.set(comment.id, { ...byId.get(comment.id), ...comment }));
+  return [...byId.values()];
+};
+
+// Adds replies to a thread without duplicates, oldest first
+const mergeReplies = (current, added) =>
+  upsertComments(current, added).sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
 
 const CommentsScreen = ({ route, navigation }) => {
   const { postId } = route.params;
@@ -40,15 +82,51 @@ const CommentsScreen = ({ route, navigation }) => {
   const [newComment, setNewComment] = useState('');
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
+  // { parentId, username } while writing a reply
+  const [replyTo, setReplyTo] = useState(null);
+  // Loaded replies per top-level comment:
+  // { [commentId]: { replies, lastDoc, hasMore, expanded, loading } }
+  const [threads, setThreads] = useState({});
+  const [pinnedIds, setPinnedIds] = useState([]);
+  const [sort, setSort] = useState('top');
+  const [editingComment, setEditingComment] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [hasMoreTop, setHasMoreTop] = useState(true);
+  // Ids of loaded comments and replies the viewer has liked
+  const [likedIds, setLikedIds] = useState(new Set());
+  const [followsAuthor, setFollowsAuthor] = useState(false);
+
+  const inputRef = useRef(null);
+  // Oldest comment loaded so far, where the next older page starts
+  const oldestDocRef = useRef(null);
+  // Last of the most liked comments loaded for Top
+  const topCursorRef = useRef(null);
+  // The viewer's own hidden replies by thread, added when the thread loads
+  const hiddenRepliesRef = useRef({});
 
   const { user, userProfile } = useAuth();
   const { theme } = useTheme();
+  const { setActiveVideoId } = useVideo();
+  const isFocused = useIsFocused();
+  const isPostOwner = post?.userId === user.uid;
+  const commentingAllowed = !!post && canComment(post, user.uid, followsAuthor);
+  const mentionAutocomplete = useMentionAutocomplete(newComment, setNewComment);
 
   useEffect(() => {
     loadPost();
-    loadComments();
+    loadTopComments();
+    loadOwnHiddenComments();
+    return loadComments();
   }, [postId]);
 
+  // The post is the only one on screen, so its video plays
+  useEffect(() => {
+    if (isFocused) {
+      setActiveVideoId(postId);
+    }
+  }, [isFocused, postId]);
+
   const loadPost = async () => {
     try {
       const postDoc = await getDoc(doc(db, 'posts', postId));
@@ -56,12 +134,26 @@ const CommentsScreen = ({ route, navigation }) => {
         const postData = { id: postDoc.id, ...postDoc.data() };
         
         // Get user data for the post
-        const userDoc = await getDoc(doc(db, 'users', postData.userId));
-        if (userDoc.exists()) {
-          postData.user = userDoc.data();
+        const postUser = await getUser(postData.userId);
+        if (postUser) {
+          postData.user = postUser;
         }
         
-        setPost(postData);
+        const [postWithLiker] = await attachTopLikers([postData]);
+        setPost(postWithLiker);
+        setPinnedIds(postData.pinnedCommentIds || []);
+
+        if (getCommentSetting(postData) === 'followers' && postData.userId !== user.uid) {
+          const relationships = await fetchRelationships(user.uid, [postData.userId]);
+          setFollowsAuthor(!!relationships.get(postData.userId)?.following);
+        }
+
+        // Pinned comments show first even when they're on a page not loaded yet
+        if (postData.pinnedCommentIds?.length > 0) {
+          const pinned = await fetchCommentsByIds(postId, postData.pinnedCommentIds);
+          setComments(prev => upsertComments(prev, pinned));
+          loadLikedState(pinned);
+        }
       }
     } catch (error) {
       console.error('Error loading post:', error);
@@ -70,29 +162,75 @@ const CommentsScreen = ({ route, navigation }) => {
     }
   };
 
+  // Hidden comments are left out of every query, so their author loads
+  // their own separately
+  const loadOwnHiddenComments = async () => {
+    hiddenRepliesRef.current = {};
+    try {
+      const hidden = await fetchOwnHiddenComments(postId, user.uid);
+      hidden.filter(comment => comment.parentId).forEach(reply => {
+        hiddenRepliesRef.current[reply.parentId] = [
+          ...(hiddenRepliesRef.current[reply.parentId] || []),
+          reply
+        ];
+      });
+
+      const topLevel = hidden.filter(comment => !comment.parentId);
+      setComments(prev => upsertComments(prev, topLevel));
+      loadLikedState(topLevel);
+    } catch (error) {
+      console.error('Error loading hidden comments:', error);
+    }
+  };
+
   const loadComments = () => {
-    const commentsQuery = query(
-      collection(db, 'posts', postId, 'comments'),
-      orderBy('createdAt', 'asc')
-    );
+    oldestDocRef.current = null;
+    setComments([]);
 
-    const unsubscribe = onSnapshot(commentsQuery, async (snapshot) => {
+    const unsubscribe = onSnapshot(latestCommentsQuery(postId), async (snapshot) => {
       try {
-        const commentsList = [];
-        
-        for (const docSnap of snapshot.docs) {
-          const commentData = { id: docSnap.id, ...docSnap.data() };
-          
-          // Get user data for each comment
-          const userDoc = await getDoc(doc(db, 'users', commentData.userId));
-          if (userDoc.exists()) {
-            commentData.user = userDoc.data();
-          }
-          
-          commentsList.push(commentData);
+        const oldestLive = snapshot.docs[snapshot.docs.length - 1];
+        if (!oldestDocRef.current && oldestLive) {
+          oldestDocRef.current = oldestLive;
+          setHasOlder(snapshot.size === COMMENTS_PAGE_SIZE);
         }
-        
-        setComments(commentsList);
+
+        const changes = snapshot.docChanges();
+        // Our own new comments carry a server time that hasn't been set yet
+        const toComment = (change) => ({
+          id: change.doc.id,
+          ...change.doc.data({ serverTimestamps: 'estimate' })
+        });
+
+        // Only new comments need their author resolved
+        const added = await attachUsers(
+          changes.filter(change => change.type === 'added').map(toComment)
+        );
+        const modified = changes.filter(change => change.type === 'modified').map(toComment);
+
+        // A full page drops its oldest comment when a new one arrives. That
+        // comment still exists, it just isn't live anymore, so it stays.
+        const pageFull = snapshot.size === COMMENTS_PAGE_SIZE;
+        const removedIds = changes
+          .filter(change => change.type === 'removed')
+          .filter(change => !(pageFull &&
+            toMillis(change.doc.data().createdAt) <= toMillis(oldestLive.data().createdAt)))
+          .map(change => change.doc.id);
+
+        // Our own comments also leave the query when they get hidden, and
+        // those we can still read
+        const ownRemovedIds = changes
+          .filter(change => change.type === 'removed' && change.doc.data().userId === user.uid)
+          .map(change => change.doc.id);
+        const stillHidden = ownRemovedIds.length > 0
+          ? await fetchCommentsByIds(postId, ownRemovedIds)
+          : [];
+
+        setComments(prev => upsertComments(
+          prev.filter(comment => !removedIds.includes(comment.id)),
+          [...added, ...modified, ...stillHidden]
+        ));
+        loadLikedState(added);
       } catch (error) {
         console.error('Error loading comments:', error);
       }
@@ -101,99 +239,386 @@ const CommentsScreen = ({ route, navigation }) => {
     return unsubscribe;
   };
 
+  const loadLikedState = async (items) => {
+    const ids = items
+      .filter(comment => !comment.deleted && !comment.pending)
+      .map(comment => comment.id);
+    if (ids.length === 0) return;
+
+    try {
+      const liked = await fetchLikedCommentIds(postId, ids, user.uid);
+      setLikedIds(prev => {
+        const next = new Set(prev);
+        ids.forEach(id => (liked.has(id) ? next.add(id) : next.delete(id)));
+        return next;
+      });
+    } catch (error) {
+      console.error('Error loading comment like state:', error);
+    }
+  };
+
+  const updateLiked = (commentId, liked) => {
+    setLikedIds(prev => {
+      const next = new Set(prev);
+      if (liked) {
+        next.add(commentId);
+      } else {
+        next.delete(commentId);
+      }
+      return next;
+    });
+  };
+
+  const loadOlderComments = async () => {
+    if (loadingMore || !hasOlder || !oldestDocRef.current) return;
+
+    setLoadingMore(true);
+    try {
+      const page = await fetchOlderComments(postId, oldestDocRef.current);
+      oldestDocRef.current = page.lastDoc;
+      setHasOlder(page.hasMore);
+      setComments(prev => upsertComments(prev, page.comments));
+      loadLikedState(page.comments);
+    } catch (error) {
+      console.error('Error loading older comments:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const loadTopComments = async () => {
+    if (loadingMore || !hasMoreTop) return;
+
+    setLoadingMore(true);
+    try {
+      const page = await fetchTopComments(postId, topCursorRef.current);
+      topCursorRef.current = page.lastDoc;
+      setHasMoreTop(page.hasMore);
+      setComments(prev => upsertComments(prev, page.comments));
+      loadLikedState(page.comments);
+    } catch (error) {
+      console.error('Error loading top comments:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const loadMoreComments = () => (sort === 'top' ? loadTopComments() : loadOlderComments());
+
+  // Newest only lists the unbroken run of comments loaded from the newest
+  // one down, so most liked comments from further back don't leave gaps
+  const listedComments = () => {
+    const visible = comments.filter(comment => isCommentVisibleTo(comment, user.uid));
+    if (sort === 'top' || !hasOlder || !oldestDocRef.current) return visible;
+
+    const oldestListed = toMillis(oldestDocRef.current.data().createdAt);
+    return visible.filter(comment =>
+      pinnedIds.includes(comment.id) || toMillis(comment.createdAt) >= oldestListed
+    );
+  };
+
+  const updateThread = (parentId, update) => {
+    setThreads(prev => {
+      const thread = prev[parentId] || { replies: [], lastDoc: null, hasMore: true, expanded: false };
+      return { ...prev, [parentId]: { ...thread, ...update(thread) } };
+    });
+  };
+
+  const loadReplies = async (parentId) => {
+    const thread = threads[parentId];
+    if (thread?.loading) return;
+
+    updateThread(parentId, () => ({ loading: true, expanded: true }));
+    try {
+      const page = await fetchReplies(postId, parentId, thread?.lastDoc);
+      const hiddenReplies = thread?.lastDoc ? [] : hiddenRepliesRef.current[parentId] || [];
+      updateThread(parentId, current => ({
+        replies: mergeReplies(current.replies, [...page.replies, ...hiddenReplies]),
+        lastDoc: page.lastDoc,
+        hasMore: page.hasMore,
+        loading: false,
+      }));
+      loadLikedState([...page.replies, ...hiddenReplies]);
+    } catch (error) {
+      console.error('Error loading replies:', error);
+      updateThread(parentId, () => ({ loading: false }));
+    }
+  };
+
+  const showReplies = (parentId) => {
+    if (threads[parentId]?.replies.length > 0) {
+      updateThread(parentId, () => ({ expanded: true }));
+    } else {
+      loadReplies(parentId);
+    }
+  };
+
+  // Replies to a reply go to the same thread, addressed to its author
+  const startReply = (comment) => {
+    const username = comment.user?.username;
+    setReplyTo({ parentId: comment.parentId || comment.id, username });
+    setNewComment(username ? `@${username} ` : '');
+    inputRef.current?.focus();
+  };
+
+  const cancelReply = () => {
+    setReplyTo(null);
+    setNewComment('');
+  };
+
+  // Shows or replaces a comment wherever it belongs. Only the newest page
+  // is live, so changes made here are applied to the list directly.
+  const showComment = (comment) => {
+    if (comment.parentId) {
+      updateThread(comment.parentId, thread => ({
+        replies: mergeReplies(thread.replies, [comment]),
+        expanded: true,
+      }));
+    } else {
+      setComments(prev => upsertComments(prev, [comment]));
+    }
+  };
+
+  const removeComment = (comment) => {
+    if (comment.parentId) {
+      updateThread(comment.parentId, thread => ({
+        replies: thread.replies.filter(reply => reply.id !== comment.id),
+      }));
+    } else {
+      setComments(prev => prev.filter(item => item.id !== comment.id));
+    }
+  };
+
+  // The comment is shown right away and reconciled once the write lands.
+  // The listener reports it under the same id, so it is never shown twice.
   const submitComment = async () => {
     if (!newComment.trim() || submitting) return;
 
-    setSubmitting(true);
-    try {
-      const commentData = {
-        userId: user.uid,
-        text: newComment.trim(),
-        createdAt: new Date(),
-      };
+    const text = newComment;
+    const target = replyTo;
+    const comment = createComment(postId, {
+      userId: user.uid,
+      text,
+      parentId: target?.parentId || null,
+    });
 
-      await addDoc(collection(db, 'posts', postId, 'comments'), commentData);
-      
-      // Update post comment count
-      await updateDoc(doc(db, 'posts', postId), {
-        commentCount: increment(1)
-      });
+    setSubmitting(true);
+    showComment({ ...comment, user: userProfile, pending: true });
+    setNewComment('');
+    setReplyTo(null);
 
-      setNewComment('');
+    try {
+      const written = await addComment(postId, comment);
+      showComment({ ...written, pending: false });
     } catch (error) {
       console.error('Error submitting comment:', error);
+      removeComment(comment);
+      setNewComment(text);
+      setReplyTo(target);
+      Toast.show({ type: 'error', text1: 'Could not post comment', text2: 'Please try again.' });
     } finally {
       setSubmitting(false);
     }
   };
 
-  const formatTime = (timestamp) => {
-    if (!timestamp) return '';
-    
-    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
-    const now = new Date();
-    const diff = now - date;
-    
-    if (diff < 60000) return 'now';
-    if (diff < 3600000) return `${Math.floor(diff / 60000)}m`;
-    if (diff < 86400000) return `${Math.floor(diff / 3600000)}h`;
-    return `${Math.floor(diff / 86400000)}d`;
+  const saveCommentEdit = async (text) => {
+    const comment = editingComment;
+    setEditingComment(null);
+    if (!text.trim() || text.trim() === comment.text) return;
+
+    try {
+      const changes = await editComment(postId, comment.id, text);
+      showComment({ ...comment, ...changes });
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      Toast.show({ type: 'error', text1: 'Could not edit comment' });
+    }
   };
 
-  const renderComment = ({ item }) => (
-    <View style={[styles.commentItem, { backgroundColor: theme.colors.surface }]}>
-      <TouchableOpacity
-        onPress={() => {
-          if (item.userId !== user.uid) {
-            navigation.navigate('OtherProfile', { userId: item.userId });
-          }
-        }}
-      >
-        <Avatar
-          uri={item.user?.avatar}
-          size={32}
-          name={item.user?.displayName || item.user?.username}
-        />
-      </TouchableOpacity>
-      
-      <View style={styles.commentContent}>
-        <View style={styles.commentHeader}>
-          <TouchableOpacity
-            onPress={() => {
-              if (item.userId !== user.uid) {
-                navigation.navigate('OtherProfile', { userId: item.userId });
+  const confirmDeleteComment = (comment) => {
+    Alert.alert(
+      'Delete Comment',
+      comment.userId === user.uid
+        ? 'Your comment will be permanently deleted.'
+        : 'This comment will be removed from your post.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const placeholder = await deleteComment(postId, comment);
+
+              if (placeholder) {
+                showComment({ ...comment, ...placeholder });
+              } else {
+                removeComment(comment);
+              }
+              // The parent may not be live, so its count is lowered here too
+              if (comment.parentId) {
+                setComments(prev => prev.map(item => (
+                  item.id === comment.parentId
+                    ? { ...item, replyCount: Math.max((item.replyCount || 0) - 1, 0) }
+                    : item
+                )));
               }
-            }}
-          >
-            <Text style={[styles.commentUsername, { color: theme.colors.text }]}>
-              {item.user?.displayName || item.user?.username || 'Unknown User'}
-            </Text>
-          </TouchableOpacity>
-          <Text style={[styles.commentTime, { color: theme.colors.textSecondary }]}>
-            {formatTime(item.createdAt)}
+              setPinnedIds(prev => prev.filter(id => id !== comment.id));
+            } catch (error) {
+              console.error('Error deleting comment:', error);
+              Toast.show({ type: 'error', text1: 'Could not delete comment' });
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const togglePin = async (comment, pinned) => {
+    if (pinned && pinnedIds.length >= MAX_PINNED_COMMENTS) {
+      Toast.show({
+        type: 'info',
+        text1: 'Pin limit reached',
+        text2: `Unpin a comment to pin another. Up to ${MAX_PINNED_COMMENTS} can be pinned.`
+      });
+      return;
+    }
+
+    const previous = pinnedIds;
+    const next = pinned
+      ? [...pinnedIds, comment.id]
+      : pinnedIds.filter(id => id !== comment.id);
+    setPinnedIds(next);
+
+    try {
+      await setPinnedComments(postId, next);
+    } catch (error) {
+      console.error('Error pinning comment:', error);
+      setPinnedIds(previous);
+      Toast.show({ type: 'error', text1: 'Could not update pinned comments' });
+    }
+  };
+
+  const renderCommentItem = (comment) => (
+    <CommentItem
+      postId={postId}
+      comment={comment}
+      pinned={pinnedIds.includes(comment.id)}
+      liked={likedIds.has(comment.id)}
+      onLikeChange={updateLiked}
+      onReply={commentingAllowed ? startReply : undefined}
+      onPinToggle={isPostOwner && !comment.parentId ? togglePin : undefined}
+      onEdit={comment.userId === user.uid ? setEditingComment : undefined}
+      onDelete={comment.userId === user.uid || isPostOwner ? confirmDeleteComment : undefined}
+      onProfilePress={openProfile}
+      onHashtagPress={(tag) => navigation.navigate('Hashtag', { tag })}
+      onMentionPress={openProfile}
+    />
+  );
+
+  const renderReplies = (item) => {
+    const replyCount = item.replyCount || 0;
+    const thread = threads[item.id];
+    if (replyCount === 0 && !thread?.replies.length) return null;
+
+    const expanded = !!thread?.expanded;
+    const remaining = Math.max(0, replyCount - (thread?.replies.length || 0));
+
+    let toggle = null;
+    if (!expanded) {
+      toggle = {
+        label: `View ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`,
+        onPress: () => showReplies(item.id),
+      };
+    } else if (remaining > 0 && thread.hasMore) {
+      toggle = {
+        label: `View ${remaining} more ${remaining === 1 ? 'reply' : 'replies'}`,
+        onPress: () => loadReplies(item.id),
+      };
+    } else {
+      toggle = {
+        label: 'Hide replies',
+        onPress: () => updateThread(item.id, () => ({ expanded: false })),
+      };
+    }
+
+    return (
+      <View>
+        {expanded && thread.replies
+          .filter(reply => isCommentVisibleTo(reply, user.uid))
+          .map(reply => (
+            <View key={reply.id}>{renderCommentItem(reply)}</View>
+          ))}
+
+        <TouchableOpacity
+          style={styles.repliesToggle}
+          onPress={toggle.onPress}
+          disabled={thread?.loading}
+        >
+          <View style={[styles.repliesLine, { backgroundColor: theme.colors.border }]} />
+          <Text style={[styles.repliesToggleText, { color: theme.colors.textSecondary }]}>
+            {thread?.loading ? 'Loading...' : toggle.label}
           </Text>
-        </View>
-        
-        <Text style={[styles.commentText, { color: theme.colors.text }]}>
-          {item.text}
-        </Text>
+        </TouchableOpacity>
       </View>
+    );
+  };
+
+  const renderComment = ({ item }) => (
+    <View>
+      {renderCommentItem(item)}
+      {renderReplies(item)}
     </View>
   );
 
+  const openProfile = (userId) => {
+    if (userId !== user.uid) {
+      navigation.navigate('OtherProfile', { userId });
+    } else {
+      navigation.navigate('Profile');
+    }
+  };
+
   const renderHeader = () => (
     post ? (
-      <PostCard
-        post={post}
-        showCommentButton={false}
-        onUserPress={() => {
-          if (post.userId !== user.uid) {
-            navigation.navigate('OtherProfile', { userId: post.userId });
-          } else {
-            navigation.navigate('Profile');
-          }
-        }}
-      />
+      <View>
+        <PostCard
+          post={post}
+          showCommentButton={false}
+          onRemove={() => navigation.goBack()}
+          onLikesPress={(postId) => navigation.navigate('Likes', { postId })}
+          onHashtagPress={(tag) => navigation.navigate('Hashtag', { tag })}
+          onMentionPress={openProfile}
+          onUserPress={() => openProfile(post.userId)}
+          onCommentSettingChange={(commentSetting) => setPost(prev => ({ ...prev, commentSetting }))}
+        />
+
+        {comments.length > 0 && (
+          <View style={styles.sortBar}>
+            {Object.entries(COMMENT_SORTS).map(([key, label]) => (
+              <TouchableOpacity
+                key={key}
+                style={[
+                  styles.sortOption,
+                  {
+                    backgroundColor: sort === key ? theme.colors.primary : theme.colors.surface
+                  }
+                ]}
+                onPress={() => setSort(key)}
+              >
+                <Text
+                  style={[
+                    styles.sortText,
+                    { color: sort === key ? theme.colors.background : theme.colors.text }
+                  ]}
+                >
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </View>
     ) : null
   );
 
@@ -207,53 +632,104 @@ const CommentsScreen = ({ route, navigation }) => {
       behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
     >
       <FlatList
-        data={comments}
+        data={sortComments(listedComments(), sort, pinnedIds)}
         renderItem={renderComment}
         keyExtractor={(item) => item.id}
         ListHeaderComponent={renderHeader}
+        ListFooterComponent={loadingMore ? <Loader size="small" style={styles.footerLoader} /> : null}
+        onEndReached={loadMoreComments}
+        onEndReachedThreshold={0.5}
         showsVerticalScrollIndicator={false}
         contentContainerStyle={styles.listContent}
       />
       
-      {/* Comment Input */}
-      <View style={[styles.commentInputContainer, { 
-        backgroundColor: theme.colors.surface,
-        borderTopColor: theme.colors.border 
-      }]}>
-        <Avatar
-          uri={userProfile?.avatar}
-          size={32}
-          name={userProfile?.displayName || userProfile?.username}
-        />
+      {commentingAllowed ? (
+        <>
+          <MentionSuggestions
+            suggestions={mentionAutocomplete.suggestions}
+            onSelect={mentionAutocomplete.selectSuggestion}
+            style={styles.mentionSuggestions}
+          />
+
+          {replyTo && (
+            <View style={[styles.replyBanner, { backgroundColor: theme.colors.surface }]}>
+              <Text style={[styles.replyBannerText, { color: theme.colors.textSecondary }]}>
+                Replying to {replyTo.username ? `@${replyTo.username}` : 'comment'}
+              </Text>
+              <TouchableOpacity onPress={cancelReply}>
+                <Ionicons name="close" size={18} color={theme.colors.textSecondary} />
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {/* Comment Input */}
+          <View style={[styles.commentInputContainer, { 
+            backgroundColor: theme.colors.surface,
+            borderTopColor: theme.colors.border 
+          }]}>
+            <Avatar
+              uri={userProfile?.avatar}
+              variants={userProfile?.avatarVariants}
+              size={32}
+              name={userProfile?.displayName || userProfile?.username}
+            />
+        
+            <TextInput
+              ref={inputRef}
+              style={[styles.commentInput, { 
+                backgroundColor: theme.colors.background,
+                color: theme.colors.text,
+                borderColor: theme.colors.border 
+              }]}
+              placeholder={replyTo ? 'Add a reply...' : 'Add a comment...'}
+              placeholderTextColor={theme.colors.textSecondary}
+              value={newComment}
+              onChangeText={setNewComment}
+              onSelectionChange={mentionAutocomplete.onSelectionChange}
+              multiline
+              maxLength={500}
+            />
         
-        <TextInput
-          style={[styles.commentInput, { 
-            backgroundColor: theme.colors.background,
-            color: theme.colors.text,
-            borderColor: theme.colors.border 
-          }]}
+            <TouchableOpacity
+              style={[styles.sendButton, { 
+                backgroundColor: newComment.trim() ? theme.colors.primary : theme.colors.border 
+              }]}
+              onPress={submitComment}
+              disabled={!newComment.trim() || submitting}
+            >
+              <Ionicons 
+                name="send" 
+                size={16} 
+                color={newComment.trim() ? theme.colors.background : theme.colors.textSecondary} 
+              />
+            </TouchableOpacity>
+          </View>
+        </>
+      ) : post && (
+        <View style={[styles.commentsClosed, {
+          backgroundColor: theme.colors.surface,
+          borderTopColor: theme.colors.border
+        }]}>
+          <Text style={[styles.commentsClosedText, { color: theme.colors.textSecondary }]}>
+            {getCommentSetting(post) === 'off'
+              ? 'Comments are turned off for this post'
+              : 'Only followers can comment on this post'}
+          </Text>
+        </View>
+      )}
+
+      {editingComment && (
+        <TextPromptModal
+          visible={!!editingComment}
+          title="Edit comment"
           placeholder="Add a comment..."
-          placeholderTextColor={theme.colors.textSecondary}
-          value={newComment}
-          onChangeText={setNewComment}
-          multiline
+          initialValue={editingComment.text}
           maxLength={500}
+          multiline
+          onSubmit={saveCommentEdit}
+          onCancel={() => setEditingComment(null)}
         />
-        
-        <TouchableOpacity
-          style={[styles.sendButton, { 
-            backgroundColor: newComment.trim() ? theme.colors.primary : theme.colors.border 
-          }]}
-          onPress={submitComment}
-          disabled={!newComment.trim() || submitting}
-        >
-          <Ionicons 
-            name="send" 
-            size={16} 
-            color={newComment.trim() ? theme.colors.background : theme.colors.textSecondary} 
-          />
-        </TouchableOpacity>
-      </View>
+      )}
     </KeyboardAvoidingView>
   );
 };
@@ -265,33 +741,54 @@ const styles = StyleSheet.create({
   listContent: {
     paddingBottom: 16,
   },
-  commentItem: {
+  footerLoader: {
+    paddingVertical: 16,
+  },
+  sortBar: {
     flexDirection: 'row',
-    padding: 16,
-    marginHorizontal: 16,
-    marginVertical: 4,
-    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    gap: 8,
   },
-  commentContent: {
-    flex: 1,
-    marginLeft: 12,
+  sortOption: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
   },
-  commentHeader: {
+  sortText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  repliesToggle: {
     flexDirection: 'row',
     alignItems: 'center',
+    marginLeft: 60,
     marginBottom: 4,
+    gap: 8,
   },
-  commentUsername: {
-    fontSize: 14,
+  repliesToggleText: {
+    fontSize: 12,
     fontWeight: '600',
-    marginRight: 8,
+    marginTop: 6,
   },
-  commentTime: {
-    fontSize: 12,
+  repliesLine: {
+    width: 24,
+    height: 1,
+    marginTop: 6,
   },
-  commentText: {
-    fontSize: 14,
-    lineHeight: 20,
+  replyBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  replyBannerText: {
+    fontSize: 13,
+  },
+  mentionSuggestions: {
+    marginHorizontal: 16,
+    marginBottom: 8,
   },
   commentInputContainer: {
     flexDirection: 'row',
@@ -309,6 +806,14 @@ const styles = StyleSheet.create({
     maxHeight: 100,
     fontSize: 14,
   },
+  commentsClosed: {
+    padding: 16,
+    borderTopWidth: 1,
+    alignItems: 'center',
+  },
+  commentsClosedText: {
+    fontSize: 14,
+  },
   sendButton: {
     width: 36,
     height: 36,
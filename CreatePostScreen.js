@@ -1,9 +1,11 @@
 /**
  * Create Post Screen
- * Handles media upload and post creation
+ * Handles media upload and post creation, with up to ten photos and
+ * videos per post, published now or scheduled for later. People can be
+ * tagged by tapping a photo. Work in progress is autosaved as a local draft.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   View,
   Text,
@@ -13,34 +15,234 @@ import {
   TextInput,
   ScrollView,
   Alert,
+  Switch,
 } from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
 import { Video } from 'expo-av';
+import * as VideoThumbnails from 'expo-video-thumbnails';
 import { Ionicons } from '@expo/vector-icons';
+import { useIsFocused } from '@react-navigation/native';
+import { format } from 'date-fns';
 import { 
   collection, 
-  addDoc, 
-  updateDoc, 
   doc, 
+  writeBatch,
   increment 
 } from 'firebase/firestore';
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
-import { db, storage } from '../firebase';
+import { db } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import Button from '../components/Button';
-import Loader from '../components/Loader';
+import PublishTimePicker from '../components/PublishTimePicker';
+import MentionSuggestions, { useMentionAutocomplete } from '../components/MentionSuggestions';
+import UserPickerModal from '../components/UserPickerModal';
+import { MAX_POST_MEDIA } from '../utils/postMedia';
+import { createUploadBatch, isUploadCanceled } from '../utils/uploadService';
+import {
+  createDraftId,
+  loadDrafts,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+} from '../utils/postDrafts';
+import { isValidPublishTime } from '../utils/postActions';
+import { extractHashtags } from '../utils/hashtags';
+import { resolveMentions } from '../utils/mentions';
+import { MAX_TAGS_PER_IMAGE, buildTagFields } from '../utils/postTags';
+import { COMMENT_SETTINGS } from '../utils/comments';
+
+// Frame used as a video's poster, skipping the often-black first frame
+const POSTER_TIME_MS = 1000;
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Scheduling starts at the next full hour
+const defaultPublishTime = () => {
+  const date = new Date(Date.now() + 60 * 60 * 1000);
+  date.setMinutes(0, 0, 0);
+  return date;
+};
+
+const toMediaItem = async (asset) => {
+  const item = {
+    uri: asset.uri,
+    type: asset.type === 'video' ? 'video' : 'image',
+    width: asset.width || null,
+    height: asset.height || null,
+  };
+
+  if (item.type === 'video') {
+    // The picker reports duration in milliseconds
+    item.duration = asset.duration ? asset.duration / 1000 : null;
+
+    try {
+      const poster = await VideoThumbnails.getThumbnailAsync(asset.uri, {
+        time: Math.min(POSTER_TIME_MS, (asset.duration || 0) / 2),
+        quality: 0.8,
+      });
+      item.posterUri = poster.uri;
+    } catch (error) {
+      console.error('Error generating video poster:', error);
+    }
+  }
+
+  return item;
+};
 
-const CreatePostScreen = ({ navigation }) => {
-  const [media, setMedia] = useState(null);
-  const [mediaType, setMediaType] = useState(null);
+const CreatePostScreen = ({ route, navigation }) => {
+  const [media, setMedia] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(0);
   const [caption, setCaption] = useState('');
-  const [loading, setLoading] = useState(false);
+  // null when idle, otherwise { index, count, fraction }
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [uploadFailed, setUploadFailed] = useState(false);
+  const [draftCount, setDraftCount] = useState(0);
+  const [scheduled, setScheduled] = useState(false);
+  const [publishAt, setPublishAt] = useState(defaultPublishTime);
+  const [tagging, setTagging] = useState(false);
+  // Where on the photo the next tag goes, while its user is being picked
+  const [tagPoint, setTagPoint] = useState(null);
+  const [tagApproval, setTagApproval] = useState(false);
+  const [commentSetting, setCommentSetting] = useState('everyone');
+  const [previewSize, setPreviewSize] = useState(null);
+
+  const uploadBatchRef = useRef(null);
+  const draftIdRef = useRef(createDraftId());
+  // What was last written for the open draft, to skip saves that change nothing
+  const savedDraftRef = useRef('');
+  const formRef = useRef({ media, caption });
+  formRef.current = { media, caption };
 
   const { user } = useAuth();
   const { theme } = useTheme();
+  const isFocused = useIsFocused();
+  const mentionAutocomplete = useMentionAutocomplete(caption, setCaption);
+
+  useEffect(() => {
+    if (isFocused) {
+      loadDrafts(user.uid).then(drafts => setDraftCount(drafts.length));
+    }
+  }, [isFocused]);
+
+  useEffect(() => {
+    const draftId = route.params?.draftId;
+    if (draftId) {
+      navigation.setParams({ draftId: undefined });
+      openDraft(draftId);
+    }
+  }, [route.params?.draftId]);
+
+  // Autosave shortly after the user stops editing
+  useEffect(() => {
+    if (uploadProgress) return;
+
+    const timer = setTimeout(saveCurrentDraft, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [media, caption, uploadProgress]);
+
+  const saveCurrentDraft = async () => {
+    const draft = {
+      id: draftIdRef.current,
+      media: formRef.current.media,
+      caption: formRef.current.caption,
+    };
+
+    const serialized = JSON.stringify(draft);
+    if (serialized === savedDraftRef.current) return;
+    savedDraftRef.current = serialized;
+
+    try {
+      if (draft.media.length === 0 && !draft.caption.trim()) {
+        await deleteDraft(user.uid, draft.id);
+      } else {
+        await saveDraft(user.uid, draft);
+      }
+    } catch (error) {
+      console.error('Error saving draft:', error);
+    }
+  };
+
+  const openDraft = async (draftId) => {
+    // Whatever is in the editor is kept as its own draft
+    await saveCurrentDraft();
+
+    const draft = await getDraft(user.uid, draftId);
+    if (!draft) {
+      Alert.alert('Draft unavailable', 'This draft\'s media is no longer on this device.');
+      return;
+    }
+
+    draftIdRef.current = draft.id;
+    savedDraftRef.current = JSON.stringify({ id: draft.id, media: draft.media, caption: draft.caption });
+    uploadBatchRef.current = null;
+    setMedia(draft.media);
+    setSelectedIndex(0);
+    setCaption(draft.caption);
+  };
+
+  const addMedia = async (assets) => {
+    const items = await Promise.all(assets.map(toMediaItem));
+    setMedia(prev => [...prev, ...items].slice(0, MAX_POST_MEDIA));
+  };
+
+  const moveMedia = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= media.length) return;
+
+    const reordered = [...media];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setMedia(reordered);
+    setSelectedIndex(target);
+  };
+
+  const removeMedia = (index) => {
+    setMedia(prev => prev.filter((item, i) => i !== index));
+    setSelectedIndex(prev => Math.max(0, Math.min(prev, media.length - 2)));
+  };
+
+  const updateTags = (index, update) => {
+    setMedia(prev => prev.map((item, i) =>
+      i === index ? { ...item, tags: update(item.tags || []) } : item
+    ));
+  };
+
+  const handleTagPress = ({ nativeEvent }) => {
+    if (!previewSize) return;
+
+    if ((media[selectedIndex].tags || []).length >= MAX_TAGS_PER_IMAGE) {
+      Alert.alert('Limit reached', `A photo can have up to ${MAX_TAGS_PER_IMAGE} tags.`);
+      return;
+    }
+
+    setTagPoint({
+      x: Math.min(1, Math.max(0, nativeEvent.locationX / previewSize.width)),
+      y: Math.min(1, Math.max(0, nativeEvent.locationY / previewSize.height)),
+    });
+  };
+
+  const addTag = (candidate) => {
+    const point = tagPoint;
+    setTagPoint(null);
+    updateTags(selectedIndex, tags => [
+      ...tags,
+      { userId: candidate.id, username: candidate.username, ...point }
+    ]);
+  };
+
+  const removeTag = (userId) => {
+    updateTags(selectedIndex, tags => tags.filter(tag => tag.userId !== userId));
+  };
+
+  const checkMediaLimit = () => {
+    if (media.length >= MAX_POST_MEDIA) {
+      Alert.alert('Limit reached', `A post can have up to ${MAX_POST_MEDIA} photos and videos.`);
+      return false;
+    }
+    return true;
+  };
 
   const pickMedia = async () => {
+    if (!checkMediaLimit()) return;
+
     try {
       const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
       if (status !== 'granted') {
@@ -48,18 +250,18 @@ const CreatePostScreen = ({ navigation }) => {
         return;
       }
 
+      // Cropping isn't available when picking several items at once
       const result = await ImagePicker.launchImageLibraryAsync({
         mediaTypes: ImagePicker.MediaTypeOptions.All,
-        allowsEditing: true,
-        aspect: [1, 1],
+        allowsMultipleSelection: true,
+        selectionLimit: MAX_POST_MEDIA - media.length,
+        orderedSelection: true,
         quality: 0.8,
         videoMaxDuration: 60, // 60 seconds max
       });
 
-      if (!result.canceled && result.assets[0]) {
-        const asset = result.assets[0];
-        setMedia(asset);
-        setMediaType(asset.type);
+      if (!result.canceled && result.assets.length > 0) {
+        addMedia(result.assets);
       }
     } catch (error) {
       console.error('Error picking media:', error);
@@ -68,6 +270,8 @@ const CreatePostScreen = ({ navigation }) => {
   };
 
   const takePhoto = async () => {
+    if (!checkMediaLimit()) return;
+
     try {
       const { status } = await ImagePicker.requestCameraPermissionsAsync();
       if (status !== 'granted') {
@@ -82,9 +286,7 @@ const CreatePostScreen = ({ navigation }) => {
       });
 
       if (!result.canceled && result.assets[0]) {
-        const asset = result.assets[0];
-        setMedia(asset);
-        setMediaType(asset.type);
+        addMedia([result.assets[0]]);
       }
     } catch (error) {
       console.error('Error taking photo:', error);
@@ -92,81 +294,333 @@ const CreatePostScreen = ({ navigation }) => {
     }
   };
 
-  const uploadMedia = async (mediaUri) => {
-    try {
-      const response = await fetch(mediaUri);
-      const blob = await response.blob();
-      
-      const filename = `posts/${user.uid}/${Date.now()}_${Math.random().toString(36).substring(7)}`;
-      const storageRef = ref(storage, filename);
-      
-      await uploadBytes(storageRef, blob);
-      const downloadURL = await getDownloadURL(storageRef);
-      
-      return downloadURL;
-    } catch (error) {
-      console.error('Error uploading media:', error);
-      throw error;
-    }
-  };
-
   const createPost = async () => {
-    if (!media) {
+    if (media.length === 0) {
       Alert.alert('No Media', 'Please select an image or video to post.');
       return;
     }
 
-    setLoading(true);
+    if (scheduled && !isValidPublishTime(publishAt)) {
+      Alert.alert('Pick a later time', 'Scheduled posts need to be at least 5 minutes from now.');
+      return;
+    }
+
+    // Video posters are uploaded right after their video
+    const files = media.flatMap(item =>
+      item.posterUri ? [{ uri: item.uri }, { uri: item.posterUri }] : [{ uri: item.uri }]
+    );
+
+    // A retry continues the same batch, skipping files that already finished
+    if (!uploadBatchRef.current) {
+      uploadBatchRef.current = createUploadBatch(user.uid, files, setUploadProgress);
+    }
+    const uploadBatch = uploadBatchRef.current;
+
+    setUploadFailed(false);
+    setUploadProgress(prev => prev || { index: 0, count: files.length, fraction: 0 });
+
     try {
-      // Upload media to Firebase Storage
-      const mediaURL = await uploadMedia(media.uri);
+      const uploaded = await uploadBatch.start();
 
-      // Create post document
+      let fileIndex = 0;
+      const uploadedMedia = media.map(item => {
+        const file = uploaded[fileIndex++];
+        const poster = item.posterUri ? uploaded[fileIndex++] : null;
+
+        return {
+          url: file.url,
+          path: file.path,
+          type: item.type,
+          width: item.width,
+          height: item.height,
+          duration: item.duration || null,
+          tags: item.tags || [],
+          // Replaced with resized variants by the server
+          thumbnailURL: poster ? poster.url : null,
+          posterPath: poster ? poster.path : null,
+        };
+      });
+
+      const cover = uploadedMedia[0];
+
+      // Create post document. The cover is also stored in the single-media
+      // fields so older app versions can still show the post.
       const postData = {
         userId: user.uid,
-        mediaURL,
-        mediaType,
+        media: uploadedMedia,
+        // Lets the server find the post when resized variants are ready
+        mediaPaths: uploadedMedia.flatMap(item => [item.path, item.posterPath]).filter(Boolean),
+        mediaURL: cover.url,
+        mediaPath: cover.path,
+        mediaType: cover.type,
         caption: caption.trim(),
-        likes: [],
+        hashtags: extractHashtags(caption),
+        mentions: await resolveMentions(caption),
+        ...buildTagFields(uploadedMedia, tagApproval),
+        commentSetting,
+        likeCount: 0,
         commentCount: 0,
-        createdAt: new Date(),
       };
 
-      await addDoc(collection(db, 'posts'), postData);
+      // Scheduled posts get createdAt and count towards postsCount when
+      // the server publishes them
+      if (scheduled) {
+        postData.status = 'scheduled';
+        postData.publishAt = publishAt;
+      } else {
+        postData.status = 'published';
+        postData.createdAt = new Date();
+      }
 
-      // Update user's post count
-      await updateDoc(doc(db, 'users', user.uid), {
-        postsCount: increment(1)
-      });
+      // The post, the user's post count and the end of the pending upload
+      // are written together, so the files are never left unclaimed
+      const batch = writeBatch(db);
+      batch.set(doc(collection(db, 'posts')), postData);
+      if (!scheduled) {
+        batch.update(doc(db, 'users', user.uid), {
+          postsCount: increment(1)
+        });
+      }
+      batch.delete(uploadBatch.batchRef);
+      await batch.commit();
+
+      try {
+        await deleteDraft(user.uid, draftIdRef.current);
+      } catch (error) {
+        console.error('Error deleting draft:', error);
+      }
 
       // Reset form
-      setMedia(null);
-      setMediaType(null);
+      draftIdRef.current = createDraftId();
+      savedDraftRef.current = '';
+      uploadBatchRef.current = null;
+      setUploadProgress(null);
+      setMedia([]);
+      setSelectedIndex(0);
       setCaption('');
+      setScheduled(false);
+      setPublishAt(defaultPublishTime());
+      setTagging(false);
+      setTagApproval(false);
+      setCommentSetting('everyone');
 
-      Alert.alert('Success', 'Post created successfully!', [
-        { text: 'OK', onPress: () => navigation.navigate('Home') }
-      ]);
+      if (scheduled) {
+        Alert.alert('Scheduled', `Your post will be published ${format(publishAt, 'MMM d \'at\' h:mm a')}.`, [
+          { text: 'OK', onPress: () => navigation.navigate('ScheduledPosts') }
+        ]);
+      } else {
+        Alert.alert('Success', 'Post created successfully!', [
+          { text: 'OK', onPress: () => navigation.navigate('Home') }
+        ]);
+      }
 
     } catch (error) {
+      if (isUploadCanceled(error)) return;
+
       console.error('Error creating post:', error);
-      Alert.alert('Error', 'Failed to create post. Please try again.');
-    } finally {
-      setLoading(false);
+      setUploadFailed(true);
+    }
+  };
+
+  const cancelUpload = async () => {
+    const uploadBatch = uploadBatchRef.current;
+    uploadBatchRef.current = null;
+    setUploadProgress(null);
+    setUploadFailed(false);
+
+    try {
+      await uploadBatch?.cancel();
+    } catch (error) {
+      console.error('Error canceling upload:', error);
     }
   };
 
-  if (loading) {
-    return <Loader />;
+  const renderMediaButtons = () => (
+    <View style={styles.mediaButtons}>
+      <TouchableOpacity
+        style={[styles.mediaButton, { backgroundColor: theme.colors.primary }]}
+        onPress={takePhoto}
+      >
+        <Ionicons name="camera" size={24} color={theme.colors.background} />
+        <Text style={[styles.mediaButtonText, { color: theme.colors.background }]}>
+          Take Photo
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[styles.mediaButton, { backgroundColor: theme.colors.secondary }]}
+        onPress={pickMedia}
+      >
+        <Ionicons name="images" size={24} color={theme.colors.background} />
+        <Text style={[styles.mediaButtonText, { color: theme.colors.background }]}>
+          {media.length > 0 ? 'Add More' : 'Choose Media'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderPreview = (item) => (
+    item.type === 'image' ? (
+      <TouchableOpacity
+        activeOpacity={1}
+        disabled={!tagging}
+        onPress={handleTagPress}
+        onLayout={({ nativeEvent }) => setPreviewSize(nativeEvent.layout)}
+        style={styles.previewImageContainer}
+      >
+        <Image source={{ uri: item.uri }} style={styles.previewImage} />
+
+        {(item.tags || []).map(tag => (
+          <TouchableOpacity
+            key={tag.userId}
+            style={[styles.previewTag, { left: `${tag.x * 100}%`, top: `${tag.y * 100}%` }]}
+            disabled={!tagging}
+            onPress={() => removeTag(tag.userId)}
+          >
+            <Text style={styles.previewTagText}>{tag.username}</Text>
+            {tagging && <Ionicons name="close" size={12} color="white" />}
+          </TouchableOpacity>
+        ))}
+      </TouchableOpacity>
+    ) : (
+      <Video
+        source={{ uri: item.uri }}
+        style={styles.previewVideo}
+        useNativeControls
+        resizeMode="contain"
+        shouldPlay={false}
+      />
+    )
+  );
+
+  const renderStripItem = (item, index) => (
+    <View key={`${index}_${item.uri}`} style={styles.stripItem}>
+      <TouchableOpacity
+        style={[
+          styles.stripThumb,
+          {
+            borderColor: index === selectedIndex ? theme.colors.primary : 'transparent',
+            backgroundColor: theme.colors.surface,
+          }
+        ]}
+        onPress={() => setSelectedIndex(index)}
+      >
+        {item.type === 'image' || item.posterUri ? (
+          <Image source={{ uri: item.posterUri || item.uri }} style={styles.stripImage} />
+        ) : (
+          <Ionicons name="videocam" size={24} color={theme.colors.textSecondary} />
+        )}
+        <Text style={styles.stripIndex}>{index + 1}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.stripRemove} onPress={() => removeMedia(index)}>
+        <Ionicons name="close-circle" size={20} color={theme.colors.error} />
+      </TouchableOpacity>
+
+      <View style={styles.stripControls}>
+        <TouchableOpacity onPress={() => moveMedia(index, -1)} disabled={index === 0}>
+          <Ionicons
+            name="chevron-back"
+            size={18}
+            color={index === 0 ? theme.colors.border : theme.colors.text}
+          />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => moveMedia(index, 1)} disabled={index === media.length - 1}>
+          <Ionicons
+            name="chevron-forward"
+            size={18}
+            color={index === media.length - 1 ? theme.colors.border : theme.colors.text}
+          />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderUploadProgress = () => {
+    const percent = Math.round(uploadProgress.fraction * 100);
+    const publishing = uploadProgress.index >= uploadProgress.count;
+
+    return (
+      <View style={[styles.uploadPanel, { backgroundColor: theme.colors.surface }]}>
+        <Text style={[styles.uploadTitle, { color: theme.colors.text }]}>
+          {uploadFailed
+            ? 'Upload failed'
+            : publishing
+              ? 'Publishing...'
+              : `Uploading ${uploadProgress.index + 1} of ${uploadProgress.count}`}
+        </Text>
+
+        <View style={[styles.progressTrack, { backgroundColor: theme.colors.border }]}>
+          <View
+            style={[
+              styles.progressFill,
+              {
+                width: `${percent}%`,
+                backgroundColor: uploadFailed ? theme.colors.error : theme.colors.primary
+              }
+            ]}
+          />
+        </View>
+
+        <Text style={[styles.uploadSubtitle, { color: theme.colors.textSecondary }]}>
+          {uploadFailed
+            ? 'Check your connection. Finished files will not be uploaded again.'
+            : `${percent}%`}
+        </Text>
+
+        <View style={styles.uploadActions}>
+          {uploadFailed && (
+            <Button
+              title="Retry"
+              onPress={createPost}
+              style={styles.uploadButton}
+            />
+          )}
+          <Button
+            title="Cancel"
+            variant="secondary"
+            onPress={cancelUpload}
+            disabled={publishing && !uploadFailed}
+            style={styles.uploadButton}
+            textStyle={{ color: theme.colors.text }}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  if (uploadProgress) {
+    return (
+      <View style={[styles.container, styles.content, { backgroundColor: theme.colors.background }]}>
+        {renderUploadProgress()}
+      </View>
+    );
   }
 
   return (
     <ScrollView 
       style={[styles.container, { backgroundColor: theme.colors.background }]}
       contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
     >
+      {draftCount > 0 && (
+        <TouchableOpacity
+          style={[styles.draftsButton, { backgroundColor: theme.colors.surface }]}
+          onPress={() => navigation.navigate('Drafts')}
+        >
+          <Ionicons name="document-text-outline" size={20} color={theme.colors.text} />
+          <Text style={[styles.draftsText, { color: theme.colors.text }]}>
+            Drafts
+          </Text>
+          <Text style={[styles.draftsCount, { color: theme.colors.textSecondary }]}>
+            {draftCount}
+          </Text>
+          <Ionicons name="chevron-forward" size={18} color={theme.colors.textSecondary} />
+        </TouchableOpacity>
+      )}
+
       {/* Media Selection */}
-      {!media ? (
+      {media.length === 0 ? (
         <View style={styles.mediaSelection}>
           <View style={[styles.mediaPlaceholder, { borderColor: theme.colors.border }]}>
             <Ionicons 
@@ -175,56 +629,56 @@ const CreatePostScreen = ({ navigation }) => {
               color={theme.colors.textSecondary} 
             />
             <Text style={[styles.placeholderText, { color: theme.colors.textSecondary }]}>
-              Select media to share
+              Select up to {MAX_POST_MEDIA} photos or videos
             </Text>
           </View>
 
-          <View style={styles.mediaButtons}>
-            <TouchableOpacity
-              style={[styles.mediaButton, { backgroundColor: theme.colors.primary }]}
-              onPress={takePhoto}
-            >
-              <Ionicons name="camera" size={24} color={theme.colors.background} />
-              <Text style={[styles.mediaButtonText, { color: theme.colors.background }]}>
-                Take Photo
-              </Text>
-            </TouchableOpacity>
-
-            <TouchableOpacity
-              style={[styles.mediaButton, { backgroundColor: theme.colors.secondary }]}
-              onPress={pickMedia}
-            >
-              <Ionicons name="images" size={24} color={theme.colors.background} />
-              <Text style={[styles.mediaButtonText, { color: theme.colors.background }]}>
-                Choose Media
-              </Text>
-            </TouchableOpacity>
-          </View>
+          {renderMediaButtons()}
         </View>
       ) : (
         <View style={styles.mediaPreview}>
-          {mediaType === 'image' ? (
-            <Image source={{ uri: media.uri }} style={styles.previewImage} />
-          ) : (
-            <Video
-              source={{ uri: media.uri }}
-              style={styles.previewVideo}
-              useNativeControls
-              resizeMode="contain"
-              shouldPlay={false}
-            />
+          {renderPreview(media[selectedIndex] || media[0])}
+
+          {media[selectedIndex]?.type === 'image' && (
+            <TouchableOpacity style={styles.tagButton} onPress={() => setTagging(!tagging)}>
+              <Ionicons
+                name={tagging ? 'checkmark-circle' : 'person-add-outline'}
+                size={18}
+                color={theme.colors.primary}
+              />
+              <Text style={[styles.tagButtonText, { color: theme.colors.primary }]}>
+                {tagging ? 'Done tagging' : 'Tag people'}
+              </Text>
+              {tagging && (
+                <Text style={[styles.tagHint, { color: theme.colors.textSecondary }]}>
+                  Tap the photo to tag someone, tap a tag to remove it
+                </Text>
+              )}
+            </TouchableOpacity>
           )}
 
+          {/* Order strip */}
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.mediaStrip}
+          >
+            {media.map((item, index) => renderStripItem(item, index))}
+          </ScrollView>
+
+          {media.length < MAX_POST_MEDIA && renderMediaButtons()}
+
           <TouchableOpacity
             style={[styles.changeMediaButton, { backgroundColor: theme.colors.surface }]}
             onPress={() => {
-              setMedia(null);
-              setMediaType(null);
+              setMedia([]);
+              setSelectedIndex(0);
+              setTagging(false);
             }}
           >
             <Ionicons name="close" size={20} color={theme.colors.text} />
             <Text style={[styles.changeMediaText, { color: theme.colors.text }]}>
-              Change Media
+              Clear Media
             </Text>
           </TouchableOpacity>
         </View>
@@ -248,22 +702,104 @@ const CreatePostScreen = ({ navigation }) => {
           placeholderTextColor={theme.colors.textSecondary}
           value={caption}
           onChangeText={setCaption}
+          onSelectionChange={mentionAutocomplete.onSelectionChange}
           multiline
           maxLength={500}
         />
+        <MentionSuggestions
+          suggestions={mentionAutocomplete.suggestions}
+          onSelect={mentionAutocomplete.selectSuggestion}
+          style={styles.mentionSuggestions}
+        />
         <Text style={[styles.characterCount, { color: theme.colors.textSecondary }]}>
           {caption.length}/500
         </Text>
       </View>
 
+      {/* Scheduling */}
+      <View style={styles.scheduleSection}>
+        <View style={styles.scheduleRow}>
+          <Text style={[styles.captionLabel, { color: theme.colors.text }]}>
+            Schedule for later
+          </Text>
+          <Switch
+            value={scheduled}
+            onValueChange={setScheduled}
+            trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+            thumbColor={theme.colors.background}
+          />
+        </View>
+        {scheduled && (
+          <PublishTimePicker value={publishAt} onChange={setPublishAt} />
+        )}
+      </View>
+
+      {/* Who can comment */}
+      <View style={styles.scheduleSection}>
+        <Text style={[styles.captionLabel, { color: theme.colors.text }]}>
+          Comments
+        </Text>
+        <View style={styles.commentOptions}>
+          {COMMENT_SETTINGS.map(option => (
+            <TouchableOpacity
+              key={option.key}
+              style={[
+                styles.commentOption,
+                {
+                  backgroundColor: commentSetting === option.key
+                    ? theme.colors.primary
+                    : theme.colors.surface
+                }
+              ]}
+              onPress={() => setCommentSetting(option.key)}
+            >
+              <Text
+                style={[
+                  styles.commentOptionText,
+                  {
+                    color: commentSetting === option.key
+                      ? theme.colors.background
+                      : theme.colors.text
+                  }
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {media.some(item => item.tags?.length > 0) && (
+        <View style={[styles.scheduleSection, styles.scheduleRow]}>
+          <Text style={[styles.captionLabel, styles.settingLabel, { color: theme.colors.text }]}>
+            Tagged people approve before the post shows on their profile
+          </Text>
+          <Switch
+            value={tagApproval}
+            onValueChange={setTagApproval}
+            trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+            thumbColor={theme.colors.background}
+          />
+        </View>
+      )}
+
       {/* Post Button */}
-      {media && (
+      {media.length > 0 && (
         <Button
-          title="Share Post"
+          title={scheduled ? 'Schedule Post' : 'Share Post'}
           onPress={createPost}
           style={styles.postButton}
         />
       )}
+
+      <UserPickerModal
+        visible={!!tagPoint}
+        title="Tag someone"
+        excludeIds={(media[selectedIndex]?.tags || []).map(tag => tag.userId)}
+        onSelect={addTag}
+        onCancel={() => setTagPoint(null)}
+      />
     </ScrollView>
   );
 };
@@ -275,6 +811,22 @@ const styles = StyleSheet.create({
   content: {
     padding: 16,
   },
+  draftsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 16,
+    gap: 8,
+  },
+  draftsText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  draftsCount: {
+    fontSize: 14,
+  },
   mediaSelection: {
     marginBottom: 24,
   },
@@ -294,6 +846,7 @@ const styles = StyleSheet.create({
   mediaButtons: {
     flexDirection: 'row',
     gap: 12,
+    marginBottom: 12,
   },
   mediaButton: {
     flex: 1,
@@ -311,11 +864,47 @@ const styles = StyleSheet.create({
   mediaPreview: {
     marginBottom: 24,
   },
+  previewImageContainer: {
+    marginBottom: 12,
+  },
+  // Square like the feed shows it, so tag positions line up
   previewImage: {
     width: '100%',
-    height: 300,
+    aspectRatio: 1,
     borderRadius: 12,
-    marginBottom: 12,
+  },
+  previewTag: {
+    position: 'absolute',
+    flexDirection: 'row',
+    alignItems: 'center',
+    transform: [{ translateX: -30 }, { translateY: -12 }],
+    minWidth: 60,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.75)',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    gap: 4,
+  },
+  previewTagText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  tagButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+    gap: 6,
+  },
+  tagButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  tagHint: {
+    width: '100%',
+    fontSize: 12,
   },
   previewVideo: {
     width: '100%',
@@ -323,6 +912,45 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     marginBottom: 12,
   },
+  mediaStrip: {
+    gap: 8,
+    paddingTop: 8,
+    paddingBottom: 12,
+  },
+  stripItem: {
+    alignItems: 'center',
+  },
+  stripThumb: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    borderWidth: 2,
+    overflow: 'hidden',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stripImage: {
+    width: '100%',
+    height: '100%',
+  },
+  stripIndex: {
+    position: 'absolute',
+    bottom: 2,
+    left: 4,
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  stripRemove: {
+    position: 'absolute',
+    top: -6,
+    right: -6,
+  },
+  stripControls: {
+    flexDirection: 'row',
+    marginTop: 4,
+    gap: 8,
+  },
   changeMediaButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -351,14 +979,74 @@ const styles = StyleSheet.create({
     minHeight: 100,
     textAlignVertical: 'top',
   },
+  mentionSuggestions: {
+    marginTop: 8,
+  },
   characterCount: {
     fontSize: 12,
     textAlign: 'right',
     marginTop: 4,
   },
+  scheduleSection: {
+    marginBottom: 24,
+  },
+  scheduleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  commentOptions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  commentOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  commentOptionText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  settingLabel: {
+    flex: 1,
+    marginRight: 12,
+    marginBottom: 0,
+  },
   postButton: {
     marginTop: 8,
   },
+  uploadPanel: {
+    borderRadius: 12,
+    padding: 16,
+  },
+  uploadTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+  },
+  uploadSubtitle: {
+    fontSize: 13,
+    marginTop: 8,
+  },
+  uploadActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 16,
+  },
+  uploadButton: {
+    flex: 1,
+  },
 });
 
 export default CreatePostScreen;
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * Drafts Screen
+ * Unfinished posts saved on this device, to resume or delete
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { Image } from 'expo-image';
+import { Ionicons } from '@expo/vector-icons';
+import { useIsFocused } from '@react-navigation/native';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import Loader from '../components/Loader';
+import { loadDrafts, deleteDraft } from '../utils/postDrafts';
+
+const formatUpdated = (timestamp) => {
+  const diff = Date.now() - timestamp;
+
+  if (diff < 60000) return 'Edited just now';
+  if (diff < 3600000) return `Edited ${Math.floor(diff / 60000)}m ago`;
+  if (diff < 86400000) return `Edited ${Math.floor(diff / 3600000)}h ago`;
+  return `Edited ${Math.floor(diff / 86400000)}d ago`;
+};
+
+const DraftsScreen = ({ navigation }) => {
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const isFocused = useIsFocused();
+
+  useEffect(() => {
+    if (isFocused) {
+      loadDrafts(user.uid).then(saved => {
+        setDrafts(saved);
+        setLoading(false);
+      });
+    }
+  }, [isFocused]);
+
+  const resumeDraft = (draft) => {
+    navigation.navigate('MainTabs', {
+      screen: 'Create',
+      params: { draftId: draft.id },
+    });
+  };
+
+  const confirmDelete = (draft) => {
+    Alert.alert(
+      'Delete Draft',
+      'This draft will be removed from this device.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteDraft(user.uid, draft.id);
+              setDrafts(prev => prev.filter(item => item.id !== draft.id));
+            } catch (error) {
+              console.error('Error deleting draft:', error);
+              Alert.alert('Error', 'Failed to delete draft. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderThumbnail = (draft) => {
+    const cover = draft.media[0];
+    const uri = cover && (cover.posterUri || (cover.type === 'image' ? cover.uri : null));
+
+    return (
+      <View style={[styles.thumbnail, { backgroundColor: theme.colors.surface }]}>
+        {uri ? (
+          <Image source={{ uri }} style={styles.thumbnailImage} contentFit="cover" />
+        ) : (
+          <Ionicons
+            name={cover ? 'videocam' : 'text'}
+            size={24}
+            color={theme.colors.textSecondary}
+          />
+        )}
+        {draft.media.length > 1 && (
+          <Ionicons name="copy" size={14} color="white" style={styles.multiBadge} />
+        )}
+      </View>
+    );
+  };
+
+  const renderDraft = ({ item }) => (
+    <TouchableOpacity style={styles.draftItem} onPress={() => resumeDraft(item)}>
+      {renderThumbnail(item)}
+
+      <View style={styles.draftInfo}>
+        <Text
+          style={[styles.caption, { color: item.caption ? theme.colors.text : theme.colors.textSecondary }]}
+          numberOfLines={2}
+        >
+          {item.caption || 'No caption'}
+        </Text>
+        <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]}>
+          {item.media.length} {item.media.length === 1 ? 'item' : 'items'} · {formatUpdated(item.updatedAt)}
+        </Text>
+      </View>
+
+      <TouchableOpacity style={styles.deleteButton} onPress={() => confirmDelete(item)}>
+        <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="document-text-outline" size={64} color={theme.colors.textSecondary} />
+      <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+        No drafts
+      </Text>
+    </View>
+  );
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <FlatList
+        data={drafts}
+        renderItem={renderDraft}
+        keyExtractor={(item) => item.id}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={drafts.length === 0 ? styles.emptyList : null}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  emptyList: {
+    flex: 1,
+  },
+  draftItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  thumbnail: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    overflow: 'hidden',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  thumbnailImage: {
+    width: '100%',
+    height: '100%',
+  },
+  multiBadge: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+  },
+  draftInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  caption: {
+    fontSize: 15,
+  },
+  subtitle: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  deleteButton: {
+    padding: 8,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 16,
+    marginTop: 16,
+  },
+});
+
+export default DraftsScreen;
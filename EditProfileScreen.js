@@ -32,6 +32,7 @@ const EditProfileScreen = ({ navigation }) => {
     username: userProfile?.username || '',
     bio: userProfile?.bio || '',
     avatar: userProfile?.avatar || '',
+    avatarPath: userProfile?.avatarPath || null,
   });
   const [loading, setLoading] = useState(false);
   const [avatarLoading, setAvatarLoading] = useState(false);
@@ -57,8 +58,8 @@ const EditProfileScreen = ({ navigation }) => {
 
       if (!result.canceled && result.assets[0]) {
         setAvatarLoading(true);
-        const avatarURL = await uploadAvatar(result.assets[0].uri);
-        setFormData(prev => ({ ...prev, avatar: avatarURL }));
+        const { url, path } = await uploadAvatar(result.assets[0].uri);
+        setFormData(prev => ({ ...prev, avatar: url, avatarPath: path }));
         setAvatarLoading(false);
       }
     } catch (error) {
@@ -79,7 +80,7 @@ const EditProfileScreen = ({ navigation }) => {
       await uploadBytes(storageRef, blob);
       const downloadURL = await getDownloadURL(storageRef);
       
-      return downloadURL;
+      return { url: downloadURL, path: filename };
     } catch (error) {
       console.error('Error uploading avatar:', error);
       throw error;
@@ -116,6 +117,9 @@ const EditProfileScreen = ({ navigation }) => {
         username: formData.username.trim(),
         bio: formData.bio.trim(),
         avatar: formData.avatar,
+        avatarPath: formData.avatarPath,
+        // Resized variants belong to the old picture; the server makes new ones
+        ...(formData.avatarPath !== userProfile?.avatarPath && { avatarVariants: null }),
       });
 
       navigation.goBack();
@@ -0,0 +1,271 @@
+/**
+ * Hashtag Screen
+ * Top and recent posts for a hashtag, with a follow button that adds
+ * the hashtag's posts to the home feed
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Dimensions,
+} from 'react-native';
+import { Image } from 'expo-image';
+import Toast from 'react-native-toast-message';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import Button from '../components/Button';
+import Loader from '../components/Loader';
+import { getCoverImageURL, getCoverBlurhash, getCoverMedia, isMultiMedia } from '../utils/postMedia';
+import {
+  fetchHashtag,
+  fetchHashtagPosts,
+  isFollowingHashtag,
+  followHashtag,
+  unfollowHashtag
+} from '../utils/hashtags';
+
+const { width } = Dimensions.get('window');
+const ITEM_SIZE = (width - 48) / 3;
+
+const HashtagScreen = ({ route, navigation }) => {
+  const { tag } = route.params;
+  const [hashtag, setHashtag] = useState({ tag, postCount: 0 });
+  const [posts, setPosts] = useState({ top: [], recent: [] });
+  const [activeTab, setActiveTab] = useState('top');
+  const [isFollowing, setIsFollowing] = useState(false);
+  const [followLoading, setFollowLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const { user } = useAuth();
+  const { theme } = useTheme();
+
+  useEffect(() => {
+    loadHashtag();
+  }, [tag]);
+
+  const loadHashtag = async () => {
+    try {
+      const [hashtagData, hashtagPosts, following] = await Promise.all([
+        fetchHashtag(tag),
+        fetchHashtagPosts(tag),
+        isFollowingHashtag(user.uid, tag),
+      ]);
+
+      setHashtag(hashtagData);
+      setPosts(hashtagPosts);
+      setIsFollowing(following);
+    } catch (error) {
+      console.error('Error loading hashtag:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFollow = async () => {
+    setFollowLoading(true);
+    try {
+      if (isFollowing) {
+        await unfollowHashtag(user.uid, tag);
+      } else {
+        await followHashtag(user.uid, tag);
+      }
+      setIsFollowing(!isFollowing);
+    } catch (error) {
+      console.error('Error updating hashtag follow:', error);
+      Toast.show({ type: 'error', text1: 'Could not update hashtag' });
+    } finally {
+      setFollowLoading(false);
+    }
+  };
+
+  const renderPost = ({ item }) => (
+    <TouchableOpacity
+      style={styles.postItem}
+      onPress={() => navigation.navigate('Comments', { postId: item.id })}
+    >
+      <Image
+        source={{ uri: getCoverImageURL(item, ITEM_SIZE) }}
+        placeholder={getCoverBlurhash(item) ? { blurhash: getCoverBlurhash(item) } : undefined}
+        style={styles.postImage}
+        contentFit="cover"
+      />
+      {isMultiMedia(item) ? (
+        <View style={styles.videoIndicator}>
+          <Ionicons name="copy" size={14} color="white" />
+        </View>
+      ) : getCoverMedia(item)?.type === 'video' && (
+        <View style={styles.videoIndicator}>
+          <Ionicons name="play" size={16} color="white" />
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderTab = (key, label) => (
+    <TouchableOpacity
+      style={[
+        styles.tab,
+        activeTab === key && { borderBottomColor: theme.colors.primary }
+      ]}
+      onPress={() => setActiveTab(key)}
+    >
+      <Text
+        style={[
+          styles.tabText,
+          { color: activeTab === key ? theme.colors.primary : theme.colors.textSecondary }
+        ]}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderHeader = () => (
+    <View>
+      <View style={styles.header}>
+        <View style={[styles.tagIcon, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.tagIconText, { color: theme.colors.text }]}>#</Text>
+        </View>
+
+        <View style={styles.headerInfo}>
+          <Text style={[styles.postCount, { color: theme.colors.text }]}>
+            {hashtag.postCount} {hashtag.postCount === 1 ? 'post' : 'posts'}
+          </Text>
+          <Button
+            title={isFollowing ? 'Following' : 'Follow'}
+            onPress={handleFollow}
+            loading={followLoading}
+            style={[
+              styles.followButton,
+              { backgroundColor: isFollowing ? theme.colors.surface : theme.colors.primary }
+            ]}
+            textStyle={{ color: isFollowing ? theme.colors.text : theme.colors.background }}
+          />
+        </View>
+      </View>
+
+      <View style={[styles.tabsContainer, { borderBottomColor: theme.colors.border }]}>
+        {renderTab('top', 'Top')}
+        {renderTab('recent', 'Recent')}
+      </View>
+    </View>
+  );
+
+  const renderEmpty = () => (
+    <View style={styles.emptyPosts}>
+      <Ionicons name="pricetag-outline" size={48} color={theme.colors.textSecondary} />
+      <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+        No posts yet
+      </Text>
+    </View>
+  );
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <FlatList
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      data={posts[activeTab]}
+      renderItem={renderPost}
+      keyExtractor={(item) => item.id}
+      numColumns={3}
+      ListHeaderComponent={renderHeader}
+      ListEmptyComponent={renderEmpty}
+      columnWrapperStyle={styles.gridRow}
+      showsVerticalScrollIndicator={false}
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+  },
+  tagIcon: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  tagIconText: {
+    fontSize: 36,
+    fontWeight: 'bold',
+  },
+  headerInfo: {
+    flex: 1,
+    marginLeft: 16,
+  },
+  postCount: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  followButton: {
+    minHeight: 36,
+    paddingVertical: 8,
+  },
+  tabsContainer: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    marginBottom: 8,
+  },
+  tab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 2,
+    borderBottomColor: 'transparent',
+  },
+  tabText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  gridRow: {
+    paddingHorizontal: 16,
+  },
+  postItem: {
+    width: ITEM_SIZE,
+    height: ITEM_SIZE,
+    margin: 2,
+    position: 'relative',
+  },
+  postImage: {
+    width: '100%',
+    height: '100%',
+    borderRadius: 4,
+  },
+  videoIndicator: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 12,
+    width: 24,
+    height: 24,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyPosts: {
+    alignItems: 'center',
+    paddingVertical: 48,
+  },
+  emptyText: {
+    fontSize: 16,
+    marginTop: 12,
+  },
+});
+
+export default HashtagScreen;
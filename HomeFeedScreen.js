@@ -3,7 +3,7 @@
  * Displays posts from followed users with infinite scroll and pull-to-refresh
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   FlatList,
@@ -17,128 +17,242 @@ import {
   query, 
   orderBy, 
   limit, 
-  startAfter, 
-  getDocs,
-  doc,
-  getDoc
+  getDocs
 } from 'firebase/firestore';
 import { Ionicons } from '@expo/vector-icons';
+import { useIsFocused } from '@react-navigation/native';
+import NetInfo from '@react-native-community/netinfo';
 import { db } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { useVideo } from '../context/VideoContext';
 import PostCard from '../components/PostCard';
 import Loader from '../components/Loader';
+import {
+  createAuthorSources,
+  createHashtagSources,
+  createGlobalSource,
+  createTimelineSource,
+  fetchMergedPage,
+  fetchForYouPosts,
+  fetchPostsByIds,
+  subscribeToNewPosts
+} from '../utils/feedService';
+import { toMillis } from '../utils/feedRanking';
+import { attachUsers } from '../utils/userResolver';
+import { attachTopLikers } from '../utils/likeService';
+import { loadFeedCache, saveFeedCache } from '../utils/feedCache';
+import { getPostMedia } from '../utils/postMedia';
+import { isVisiblePost } from '../utils/postStatus';
+import { fetchFollowedHashtags } from '../utils/hashtags';
+
+const FEED_MODES = [
+  { key: 'following', label: 'Following (latest)' },
+  { key: 'forYou', label: 'For You' },
+];
+
+// Authors and "Liked by" profiles for a page of posts
+const resolvePosts = async (posts) => attachTopLikers(await attachUsers(posts));
 
 const HomeFeedScreen = ({ navigation }) => {
+  const [feedMode, setFeedMode] = useState('following');
   const [posts, setPosts] = useState([]);
+  const [discoverPosts, setDiscoverPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [loadingMore, setLoadingMore] = useState(false);
-  const [lastDoc, setLastDoc] = useState(null);
   const [hasMore, setHasMore] = useState(true);
+  const [newPostIds, setNewPostIds] = useState([]);
+  const [mergingNewPosts, setMergingNewPosts] = useState(false);
+  const [isOffline, setIsOffline] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  // Bumped whenever the timeline sources are rebuilt
+  const [feedVersion, setFeedVersion] = useState(0);
+
+  // Per-query cursors for the merged timeline, see utils/feedService
+  const sourcesRef = useRef([]);
+  const followingRef = useRef([]);
+  // Ranked "For You" posts not shown yet
+  const rankedRef = useRef([]);
+  const listRef = useRef(null);
+  // Identifies the latest load so a slow response for another mode is dropped
+  const loadIdRef = useRef(0);
+  const wasOfflineRef = useRef(false);
+  // Post whose video is mostly on screen, restored when the tab regains focus
+  const visibleVideoIdRef = useRef(null);
 
   const { user, userProfile } = useAuth();
   const { theme } = useTheme();
+  const isFocused = useIsFocused();
+  const { setActiveVideoId } = useVideo();
 
   const POSTS_PER_PAGE = 10;
+  const DISCOVER_POSTS_COUNT = 6;
+
+  useEffect(() => {
+    loadPosts(false, feedMode);
+  }, [feedMode]);
+
+  // Revalidate as soon as the connection comes back
+  useEffect(() => {
+    const unsubscribe = NetInfo.addEventListener(state => {
+      const offline = state.isConnected === false || state.isInternetReachable === false;
+      setIsOffline(offline);
 
+      if (wasOfflineRef.current && !offline) {
+        loadPosts(true);
+      }
+      wasOfflineRef.current = offline;
+    });
+
+    return unsubscribe;
+  }, [feedMode]);
+
+  // Watch for posts newer than the top of the feed, only while this tab is visible
+  const topCreatedAt = posts[0]?.createdAt;
   useEffect(() => {
-    loadPosts();
-  }, []);
+    setNewPostIds([]);
+    if (!isFocused || loading || feedMode !== 'following' || !topCreatedAt) return;
+
+    // Cached posts carry plain millisecond times, the query needs a Date
+    const since = new Date(toMillis(topCreatedAt));
+    return subscribeToNewPosts(sourcesRef.current, since, setNewPostIds);
+  }, [isFocused, loading, feedMode, feedVersion, toMillis(topCreatedAt)]);
+
+  // Autoplay the first video that is mostly visible; others stay paused
+  const viewabilityConfig = useRef({ itemVisiblePercentThreshold: 70 }).current;
+  const onViewableItemsChanged = useRef(({ viewableItems }) => {
+    const visibleVideo = viewableItems.find(({ item }) =>
+      getPostMedia(item).some(media => media.type === 'video')
+    );
+    visibleVideoIdRef.current = visibleVideo ? visibleVideo.item.id : null;
+    setActiveVideoId(visibleVideoIdRef.current);
+  }).current;
+
+  useEffect(() => {
+    if (isFocused) {
+      setActiveVideoId(visibleVideoIdRef.current);
+    }
+  }, [isFocused]);
+
+  const cacheFeed = async (mode, feedPosts) => {
+    const savedAt = await saveFeedCache(user.uid, mode, feedPosts);
+    setLastUpdated(savedAt);
+  };
+
+  const loadPosts = async (isRefresh = false, mode = feedMode) => {
+    const loadId = ++loadIdRef.current;
+    const isCurrent = () => loadId === loadIdRef.current;
 
-  const loadPosts = async (isRefresh = false) => {
     try {
       if (isRefresh) {
+        // Keep showing what we have until fresh posts arrive
         setRefreshing(true);
-        setPosts([]);
-        setLastDoc(null);
-        setHasMore(true);
       } else {
         setLoading(true);
+        setPosts([]);
+        setDiscoverPosts([]);
+        setHasMore(true);
+
+        // Render the last saved pages right away, then revalidate below
+        const cached = await loadFeedCache(user.uid, mode);
+        if (!isCurrent()) return;
+        if (cached?.posts?.length) {
+          setPosts(cached.posts);
+          setLastUpdated(cached.savedAt);
+          setHasMore(false);
+          setLoading(false);
+        }
+      }
+
+      if (mode === 'forYou') {
+        const ranked = await fetchForYouPosts(user.uid);
+        const newPosts = await resolvePosts(ranked.slice(0, POSTS_PER_PAGE));
+        if (!isCurrent()) return;
+
+        rankedRef.current = ranked.slice(POSTS_PER_PAGE);
+        setPosts(newPosts);
+        setDiscoverPosts([]);
+        setHasMore(rankedRef.current.length > 0);
+        await cacheFeed(mode, newPosts);
+        return;
       }
 
       // Get following list first
-      const followingList = await getFollowingList();
-      
-      let postsQuery;
-      if (followingList.length > 0) {
-        // Show posts from followed users
-        postsQuery = query(
-          collection(db, 'posts'),
-          orderBy('createdAt', 'desc'),
-          limit(POSTS_PER_PAGE)
-        );
+      const [followingList, followedTags] = await Promise.all([
+        getFollowingList(),
+        getFollowedHashtags(),
+      ]);
+      followingRef.current = followingList.map(follow => follow.id);
+
+      if (!isCurrent()) return;
+
+      if (followingList.length > 0 || followedTags.length > 0) {
+        // Posts are fanned out into our timeline, except for very large
+        // accounts which are marked `pull` and read directly
+        const pullAuthors = followingList
+          .filter(follow => follow.pull)
+          .map(follow => follow.id);
+
+        sourcesRef.current = [
+          createTimelineSource(user.uid),
+          ...createAuthorSources(pullAuthors),
+          ...createHashtagSources(followedTags),
+        ];
       } else {
         // Show discover posts if not following anyone
-        postsQuery = query(
-          collection(db, 'posts'),
-          orderBy('createdAt', 'desc'),
-          limit(POSTS_PER_PAGE)
-        );
+        sourcesRef.current = [createGlobalSource()];
       }
 
-      const snapshot = await getDocs(postsQuery);
-      const newPosts = [];
+      const page = await fetchMergedPage(sourcesRef.current, POSTS_PER_PAGE);
+      const newPosts = await resolvePosts(page.posts);
+      if (!isCurrent()) return;
 
-      for (const docSnap of snapshot.docs) {
-        const postData = { id: docSnap.id, ...docSnap.data() };
-        
-        // Get user data for each post
-        const userDoc = await getDoc(doc(db, 'users', postData.userId));
-        if (userDoc.exists()) {
-          postData.user = userDoc.data();
-        }
-        
-        newPosts.push(postData);
-      }
+      setPosts(newPosts);
+      setDiscoverPosts([]);
+      setHasMore(page.hasMore);
+      setFeedVersion(version => version + 1);
+      await cacheFeed(mode, newPosts);
 
-      if (isRefresh) {
-        setPosts(newPosts);
-      } else {
-        setPosts(prev => [...prev, ...newPosts]);
+      if (!page.hasMore) {
+        await loadDiscoverPosts(newPosts);
       }
 
-      setLastDoc(snapshot.docs[snapshot.docs.length - 1]);
-      setHasMore(snapshot.docs.length === POSTS_PER_PAGE);
-
     } catch (error) {
+      // Cached posts, if any, stay on screen
       console.error('Error loading posts:', error);
     } finally {
-      setLoading(false);
-      setRefreshing(false);
+      if (isCurrent()) {
+        setLoading(false);
+        setRefreshing(false);
+      }
     }
   };
 
   const loadMorePosts = async () => {
-    if (loadingMore || !hasMore || !lastDoc) return;
+    if (loadingMore || !hasMore) return;
 
     setLoadingMore(true);
     try {
-      const postsQuery = query(
-        collection(db, 'posts'),
-        orderBy('createdAt', 'desc'),
-        startAfter(lastDoc),
-        limit(POSTS_PER_PAGE)
-      );
-
-      const snapshot = await getDocs(postsQuery);
-      const newPosts = [];
+      if (feedMode === 'forYou') {
+        const newPosts = await resolvePosts(rankedRef.current.splice(0, POSTS_PER_PAGE));
 
-      for (const docSnap of snapshot.docs) {
-        const postData = { id: docSnap.id, ...docSnap.data() };
-        
-        // Get user data for each post
-        const userDoc = await getDoc(doc(db, 'users', postData.userId));
-        if (userDoc.exists()) {
-          postData.user = userDoc.data();
-        }
-        
-        newPosts.push(postData);
+        setPosts(prev => [...prev, ...newPosts]);
+        setHasMore(rankedRef.current.length > 0);
+        await cacheFeed(feedMode, [...posts, ...newPosts]);
+        return;
       }
 
+      const page = await fetchMergedPage(sourcesRef.current, POSTS_PER_PAGE);
+      const newPosts = await resolvePosts(page.posts);
+
       setPosts(prev => [...prev, ...newPosts]);
-      setLastDoc(snapshot.docs[snapshot.docs.length - 1]);
-      setHasMore(snapshot.docs.length === POSTS_PER_PAGE);
+      setHasMore(page.hasMore);
+      await cacheFeed(feedMode, [...posts, ...newPosts]);
+
+      if (!page.hasMore) {
+        await loadDiscoverPosts([...posts, ...newPosts]);
+      }
 
     } catch (error) {
       console.error('Error loading more posts:', error);
@@ -147,32 +261,110 @@ const HomeFeedScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Puts the posts announced by the "new posts" pill on top of the feed.
+   * Loaded pages and their cursors are left untouched.
+   */
+  const showNewPosts = async () => {
+    if (mergingNewPosts) return;
+
+    setMergingNewPosts(true);
+    try {
+      const loadedIds = new Set(posts.map(post => post.id));
+      const freshPosts = await fetchPostsByIds(newPostIds.filter(id => !loadedIds.has(id)));
+      const newPosts = await resolvePosts(freshPosts);
+
+      const mergedPosts = [...newPosts, ...posts.filter(post => !newPostIds.includes(post.id))];
+      setPosts(mergedPosts);
+      setNewPostIds([]);
+      await cacheFeed(feedMode, mergedPosts);
+      listRef.current?.scrollToOffset({ offset: 0, animated: true });
+    } catch (error) {
+      console.error('Error loading new posts:', error);
+    } finally {
+      setMergingNewPosts(false);
+    }
+  };
+
+  /**
+   * Once the following timeline runs out, suggest a few recent posts
+   * from accounts the user doesn't follow yet
+   */
+  const loadDiscoverPosts = async (timelinePosts) => {
+    if (followingRef.current.length === 0) return;
+
+    try {
+      const excludedUsers = new Set([user.uid, ...followingRef.current]);
+      const shownPosts = new Set(timelinePosts.map(post => post.id));
+
+      const discoverQuery = query(
+        collection(db, 'posts'),
+        orderBy('createdAt', 'desc'),
+        limit(POSTS_PER_PAGE * 3)
+      );
+
+      const snapshot = await getDocs(discoverQuery);
+      const candidates = snapshot.docs
+        .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+        .filter(post =>
+          !excludedUsers.has(post.userId) && !shownPosts.has(post.id) && isVisiblePost(post)
+        )
+        .slice(0, DISCOVER_POSTS_COUNT);
+
+      setDiscoverPosts(await resolvePosts(candidates));
+    } catch (error) {
+      console.error('Error loading discover posts:', error);
+    }
+  };
+
   const getFollowingList = async () => {
     try {
       const followingQuery = query(collection(db, 'users', user.uid, 'following'));
       const snapshot = await getDocs(followingQuery);
-      return snapshot.docs.map(doc => doc.id);
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     } catch (error) {
       console.error('Error getting following list:', error);
       return [];
     }
   };
 
+  const getFollowedHashtags = async () => {
+    try {
+      return await fetchFollowedHashtags(user.uid);
+    } catch (error) {
+      console.error('Error getting followed hashtags:', error);
+      return [];
+    }
+  };
+
   const onRefresh = useCallback(() => {
-    loadPosts(true);
-  }, []);
+    loadPosts(true, feedMode);
+  }, [feedMode]);
+
+  const removePost = (postId) => {
+    const remaining = posts.filter(post => post.id !== postId);
+    setPosts(remaining);
+    setDiscoverPosts(prev => prev.filter(post => post.id !== postId));
+    cacheFeed(feedMode, remaining);
+  };
+
+  const openProfile = (userId) => {
+    if (userId !== user.uid) {
+      navigation.navigate('OtherProfile', { userId });
+    } else {
+      navigation.navigate('Profile');
+    }
+  };
 
   const renderPost = ({ item }) => (
     <PostCard
       post={item}
+      onRemove={removePost}
       onPress={() => navigation.navigate('Comments', { postId: item.id })}
-      onUserPress={() => {
-        if (item.userId !== user.uid) {
-          navigation.navigate('OtherProfile', { userId: item.userId });
-        } else {
-          navigation.navigate('Profile');
-        }
-      }}
+      onLikesPress={(postId) => navigation.navigate('Likes', { postId })}
+      onHashtagPress={(tag) => navigation.navigate('Hashtag', { tag })}
+      onMentionPress={openProfile}
+      onUserPress={() => openProfile(item.userId)}
     />
   );
 
@@ -201,39 +393,125 @@ const HomeFeedScreen = ({ navigation }) => {
   );
 
   const renderFooter = () => {
-    if (!loadingMore) return null;
+    if (loadingMore) {
+      return (
+        <View style={styles.footerLoader}>
+          <Loader size="small" />
+        </View>
+      );
+    }
+
+    if (feedMode !== 'following' || hasMore || discoverPosts.length === 0) return null;
+
     return (
-      <View style={styles.footerLoader}>
-        <Loader size="small" />
+      <View>
+        <View style={[styles.discoverHeader, { borderTopColor: theme.colors.border }]}>
+          <Ionicons name="compass-outline" size={20} color={theme.colors.primary} />
+          <Text style={[styles.discoverTitle, { color: theme.colors.text }]}>
+            You're all caught up
+          </Text>
+          <Text style={[styles.discoverSubtitle, { color: theme.colors.textSecondary }]}>
+            Discover posts from people you don't follow yet
+          </Text>
+        </View>
+        {discoverPosts.map(post => (
+          <View key={post.id}>
+            {renderPost({ item: post })}
+          </View>
+        ))}
       </View>
     );
   };
 
-  if (loading) {
-    return <Loader />;
-  }
+  const renderFeedToggle = () => (
+    <View style={[styles.feedToggle, { borderBottomColor: theme.colors.border }]}>
+      {FEED_MODES.map(mode => (
+        <TouchableOpacity
+          key={mode.key}
+          style={[
+            styles.feedToggleOption,
+            feedMode === mode.key && { borderBottomColor: theme.colors.primary }
+          ]}
+          onPress={() => setFeedMode(mode.key)}
+          disabled={loading || refreshing}
+        >
+          <Text
+            style={[
+              styles.feedToggleText,
+              { color: feedMode === mode.key ? theme.colors.text : theme.colors.textSecondary }
+            ]}
+          >
+            {mode.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const formatLastUpdated = (timestamp) => {
+    if (!timestamp) return 'Not updated yet';
+
+    const diff = Date.now() - timestamp;
+    if (diff < 60000) return 'Updated just now';
+    if (diff < 3600000) return `Updated ${Math.floor(diff / 60000)}m ago`;
+    if (diff < 86400000) return `Updated ${Math.floor(diff / 3600000)}h ago`;
+    return `Updated ${Math.floor(diff / 86400000)}d ago`;
+  };
+
+  const renderOfflineBar = () => (
+    <View style={[styles.offlineBar, { backgroundColor: theme.colors.surface }]}>
+      <Ionicons name="cloud-offline-outline" size={16} color={theme.colors.warning} />
+      <Text style={[styles.offlineText, { color: theme.colors.textSecondary }]}>
+        You're offline · {formatLastUpdated(lastUpdated)}
+      </Text>
+    </View>
+  );
 
   return (
     <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
-      <FlatList
-        data={posts}
-        renderItem={renderPost}
-        keyExtractor={(item) => item.id}
-        refreshControl={
-          <RefreshControl
-            refreshing={refreshing}
-            onRefresh={onRefresh}
-            colors={[theme.colors.primary]}
-            tintColor={theme.colors.primary}
-          />
-        }
-        onEndReached={loadMorePosts}
-        onEndReachedThreshold={0.5}
-        ListFooterComponent={renderFooter}
-        ListEmptyComponent={renderEmpty}
-        showsVerticalScrollIndicator={false}
-        contentContainerStyle={posts.length === 0 ? styles.emptyList : null}
-      />
+      {renderFeedToggle()}
+      {isOffline && renderOfflineBar()}
+
+      {loading ? (
+        <Loader />
+      ) : (
+        <FlatList
+          ref={listRef}
+          data={posts}
+          renderItem={renderPost}
+          keyExtractor={(item) => item.id}
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={onRefresh}
+              colors={[theme.colors.primary]}
+              tintColor={theme.colors.primary}
+            />
+          }
+          onEndReached={loadMorePosts}
+          onEndReachedThreshold={0.5}
+          onViewableItemsChanged={onViewableItemsChanged}
+          viewabilityConfig={viewabilityConfig}
+          ListFooterComponent={renderFooter}
+          ListEmptyComponent={renderEmpty}
+          showsVerticalScrollIndicator={false}
+          contentContainerStyle={posts.length === 0 ? styles.emptyList : null}
+        />
+      )}
+
+      {/* New Posts Pill */}
+      {newPostIds.length > 0 && (
+        <TouchableOpacity
+          style={[styles.newPostsPill, { backgroundColor: theme.colors.primary }]}
+          onPress={showNewPosts}
+          disabled={mergingNewPosts}
+        >
+          <Ionicons name="arrow-up" size={16} color={theme.colors.background} />
+          <Text style={[styles.newPostsText, { color: theme.colors.background }]}>
+            {newPostIds.length} new {newPostIds.length === 1 ? 'post' : 'posts'}
+          </Text>
+        </TouchableOpacity>
+      )}
     </View>
   );
 };
@@ -245,6 +523,21 @@ const styles = StyleSheet.create({
   emptyList: {
     flex: 1,
   },
+  feedToggle: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+  },
+  feedToggleOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 2,
+    borderBottomColor: 'transparent',
+  },
+  feedToggleText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -272,10 +565,57 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  offlineBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 6,
+    gap: 6,
+  },
+  offlineText: {
+    fontSize: 12,
+  },
+  newPostsPill: {
+    position: 'absolute',
+    top: 60,
+    alignSelf: 'center',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    gap: 6,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    shadowOffset: { width: 0, height: 2 },
+  },
+  newPostsText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   footerLoader: {
     padding: 16,
     alignItems: 'center',
   },
+  discoverHeader: {
+    alignItems: 'center',
+    paddingVertical: 24,
+    paddingHorizontal: 32,
+    borderTopWidth: 1,
+    marginBottom: 8,
+  },
+  discoverTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  discoverSubtitle: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
 });
 
 export default HomeFeedScreen;
\ No newline at end of file
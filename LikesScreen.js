@@ -0,0 +1,267 @@
+/**
+ * Likes Screen
+ * Paginated list of the users who liked a post, with follow buttons
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { doc, getDoc } from 'firebase/firestore';
+import { Ionicons } from '@expo/vector-icons';
+import { db } from '../firebase';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import Avatar from '../components/Avatar';
+import Loader from '../components/Loader';
+import { getUsers } from '../utils/userResolver';
+import { fetchLikersPage } from '../utils/likeService';
+import {
+  fetchRelationships,
+  followUser,
+  unfollowUser
+} from '../utils/followService';
+
+const LIKERS_PER_PAGE = 30;
+
+const isMutual = (liker) => liker.following && liker.followedBy;
+
+// Mutual followers first; otherwise keep the most recent likes on top
+const sortLikers = (likers) => [
+  ...likers.filter(isMutual),
+  ...likers.filter(liker => !isMutual(liker)),
+];
+
+const LikesScreen = ({ route, navigation }) => {
+  const { postId } = route.params;
+  const [likers, setLikers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [pendingFollows, setPendingFollows] = useState(new Set());
+
+  const postRef = useRef(null);
+  const cursorRef = useRef(null);
+
+  const { user } = useAuth();
+  const { theme } = useTheme();
+
+  useEffect(() => {
+    loadInitial();
+  }, [postId]);
+
+  const loadInitial = async () => {
+    setLoading(true);
+    try {
+      // The post decides where its likes are stored
+      const postDoc = await getDoc(doc(db, 'posts', postId));
+      if (!postDoc.exists()) {
+        setHasMore(false);
+        return;
+      }
+
+      postRef.current = { id: postDoc.id, ...postDoc.data() };
+      cursorRef.current = null;
+      setLikers(sortLikers(await loadPage()));
+    } catch (error) {
+      console.error('Error loading likes:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadPage = async () => {
+    const page = await fetchLikersPage(postRef.current, cursorRef.current, LIKERS_PER_PAGE);
+    cursorRef.current = page.cursor;
+    setHasMore(page.hasMore);
+
+    const [profiles, relationships] = await Promise.all([
+      getUsers(page.userIds),
+      fetchRelationships(user.uid, page.userIds),
+    ]);
+
+    return page.userIds
+      .filter(uid => profiles.get(uid))
+      .map(uid => ({
+        uid,
+        profile: profiles.get(uid),
+        following: false,
+        followedBy: false,
+        ...relationships.get(uid)
+      }));
+  };
+
+  const loadMore = async () => {
+    if (loading || loadingMore || !hasMore || !postRef.current) return;
+
+    setLoadingMore(true);
+    try {
+      const nextLikers = await loadPage();
+      setLikers(prev => sortLikers([...prev, ...nextLikers]));
+    } catch (error) {
+      console.error('Error loading more likes:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleFollow = async (liker) => {
+    if (pendingFollows.has(liker.uid)) return;
+
+    setPendingFollows(prev => new Set(prev).add(liker.uid));
+    try {
+      if (liker.following) {
+        await unfollowUser(user.uid, liker.uid);
+      } else {
+        await followUser(user.uid, liker.uid);
+      }
+
+      // Don't re-sort here, rows jumping under the user's finger is confusing
+      setLikers(prev => prev.map(item =>
+        item.uid === liker.uid ? { ...item, following: !liker.following } : item
+      ));
+    } catch (error) {
+      console.error('Error updating follow status:', error);
+    } finally {
+      setPendingFollows(prev => {
+        const next = new Set(prev);
+        next.delete(liker.uid);
+        return next;
+      });
+    }
+  };
+
+  const renderLiker = ({ item }) => {
+    const isSelf = item.uid === user.uid;
+
+    return (
+      <TouchableOpacity
+        style={styles.likerItem}
+        onPress={() => {
+          if (isSelf) {
+            navigation.navigate('Profile');
+          } else {
+            navigation.navigate('OtherProfile', { userId: item.uid });
+          }
+        }}
+      >
+        <Avatar
+          uri={item.profile.avatar}
+          variants={item.profile.avatarVariants}
+          size={44}
+          name={item.profile.displayName || item.profile.username}
+        />
+
+        <View style={styles.likerInfo}>
+          <Text style={[styles.username, { color: theme.colors.text }]} numberOfLines={1}>
+            {item.profile.username}
+          </Text>
+          <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+            {isMutual(item) ? 'Follows you' : item.profile.displayName}
+          </Text>
+        </View>
+
+        {!isSelf && (
+          <TouchableOpacity
+            style={[
+              styles.followButton,
+              { backgroundColor: item.following ? theme.colors.surface : theme.colors.primary }
+            ]}
+            onPress={() => handleFollow(item)}
+            disabled={pendingFollows.has(item.uid)}
+          >
+            <Text style={[
+              styles.followText,
+              { color: item.following ? theme.colors.text : theme.colors.background }
+            ]}>
+              {item.following ? 'Following' : 'Follow'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="heart-outline" size={64} color={theme.colors.textSecondary} />
+      <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+        No likes yet
+      </Text>
+    </View>
+  );
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <FlatList
+        data={likers}
+        renderItem={renderLiker}
+        keyExtractor={(item) => item.uid}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListEmptyComponent={renderEmpty}
+        ListFooterComponent={loadingMore ? <Loader size="small" style={styles.footerLoader} /> : null}
+        contentContainerStyle={likers.length === 0 ? styles.emptyList : null}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  emptyList: {
+    flex: 1,
+  },
+  likerItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  likerInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  username: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  subtitle: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  followButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  followText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  footerLoader: {
+    padding: 16,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 16,
+    marginTop: 16,
+  },
+});
+
+export default LikesScreen;
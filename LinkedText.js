@@ -0,0 +1,43 @@
+/**
+ * Linked Text Component
+ * Renders text with tappable #hashtags and @mentions. Meant to be nested
+ * inside a <Text> so it inherits the surrounding style.
+ */
+
+import React from 'react';
+import { Text } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import { splitLinks } from '../utils/mentions';
+
+/**
+ * @param {Array} mentions - [{ userId, username }] resolved when the text was written
+ * @param {string} linkColor - defaults to the theme's primary color
+ */
+const LinkedText = ({ text, mentions, onHashtagPress, onMentionPress, linkColor }) => {
+  const { theme } = useTheme();
+  const color = linkColor || theme.colors.primary;
+
+  return splitLinks(text, mentions).map((part, index) => {
+    if (part.hashtag) {
+      return (
+        <Text key={index} style={{ color }} onPress={() => onHashtagPress?.(part.hashtag)}>
+          {part.text}
+        </Text>
+      );
+    }
+    if (part.mention) {
+      return (
+        <Text
+          key={index}
+          style={{ color, fontWeight: '600' }}
+          onPress={() => onMentionPress?.(part.mention.userId)}
+        >
+          {part.text}
+        </Text>
+      );
+    }
+    return part.text;
+  });
+};
+
+export default LinkedText;
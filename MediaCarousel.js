@@ -0,0 +1,206 @@
+/**
+ * Media Carousel Component
+ * Swipeable images and videos of a post with page dots. Videos play muted
+ * or not per the global setting, and only while the carousel is active.
+ * Photos with tagged people get a button that shows the tags.
+ */
+
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+} from 'react-native';
+import { Image } from 'expo-image';
+import { Video } from 'expo-av';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useVideo } from '../context/VideoContext';
+import { getMediaImageURL, formatDuration } from '../utils/postMedia';
+import { getBlurhash } from '../utils/imageVariants';
+
+/**
+ * @param {boolean} active - whether this post's video may play right now
+ * @param {function} onTagPress - called with the userId of a tapped tag
+ */
+const MediaCarousel = ({ media, size, active = false, onTagPress }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [showTags, setShowTags] = useState(false);
+
+  const { theme } = useTheme();
+  const { muted, toggleMuted } = useVideo();
+
+  const onViewableItemsChanged = useRef(({ viewableItems }) => {
+    if (viewableItems.length > 0) {
+      setActiveIndex(viewableItems[0].index);
+    }
+  }).current;
+
+  const renderItem = ({ item, index }) => (
+    item.type === 'video' ? (
+      <View>
+        <Video
+          source={{ uri: item.url }}
+          posterSource={item.thumbnailURL ? { uri: getMediaImageURL(item, size) } : undefined}
+          usePoster={!!item.thumbnailURL}
+          style={{ width: size, height: size }}
+          resizeMode="cover"
+          shouldPlay={active && index === activeIndex}
+          isMuted={muted}
+          isLooping
+        />
+
+        {!!item.duration && (
+          <View style={styles.duration}>
+            <Text style={styles.overlayText}>{formatDuration(item.duration)}</Text>
+          </View>
+        )}
+
+        <TouchableOpacity style={styles.muteButton} onPress={toggleMuted}>
+          <Ionicons name={muted ? 'volume-mute' : 'volume-high'} size={16} color="white" />
+        </TouchableOpacity>
+      </View>
+    ) : (
+      <View>
+        <Image
+          source={{ uri: getMediaImageURL(item, size) }}
+          placeholder={getBlurhash(item) ? { blurhash: getBlurhash(item) } : undefined}
+          style={{ width: size, height: size }}
+          contentFit="cover"
+          transition={200}
+        />
+
+        {showTags && (item.tags || []).map(tag => (
+          <TouchableOpacity
+            key={tag.userId}
+            style={[styles.tag, { left: tag.x * size, top: tag.y * size }]}
+            onPress={() => onTagPress?.(tag.userId)}
+          >
+            <Text style={styles.overlayText}>{tag.username}</Text>
+          </TouchableOpacity>
+        ))}
+
+        {item.tags?.length > 0 && (
+          <TouchableOpacity style={styles.tagsButton} onPress={() => setShowTags(!showTags)}>
+            <Ionicons name={showTags ? 'person' : 'person-outline'} size={16} color="white" />
+          </TouchableOpacity>
+        )}
+      </View>
+    )
+  );
+
+  if (media.length === 1) {
+    return renderItem({ item: media[0], index: 0 });
+  }
+
+  return (
+    <View>
+      <FlatList
+        data={media}
+        renderItem={renderItem}
+        keyExtractor={(item, index) => `${index}_${item.url}`}
+        horizontal
+        pagingEnabled
+        showsHorizontalScrollIndicator={false}
+        onViewableItemsChanged={onViewableItemsChanged}
+        viewabilityConfig={{ itemVisiblePercentThreshold: 60 }}
+        getItemLayout={(data, index) => ({ length: size, offset: size * index, index })}
+      />
+
+      <View style={styles.counter}>
+        <Text style={styles.overlayText}>
+          {activeIndex + 1}/{media.length}
+        </Text>
+      </View>
+
+      <View style={styles.dots}>
+        {media.map((item, index) => (
+          <View
+            key={index}
+            style={[
+              styles.dot,
+              {
+                backgroundColor: index === activeIndex
+                  ? theme.colors.primary
+                  : theme.colors.border
+              }
+            ]}
+          />
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  counter: {
+    position: 'absolute',
+    top: 12,
+    right: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  overlayText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  duration: {
+    position: 'absolute',
+    bottom: 12,
+    left: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  muteButton: {
+    position: 'absolute',
+    bottom: 12,
+    right: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 14,
+    width: 28,
+    height: 28,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  tagsButton: {
+    position: 'absolute',
+    bottom: 12,
+    left: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 14,
+    width: 28,
+    height: 28,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  tag: {
+    position: 'absolute',
+    transform: [{ translateX: -30 }, { translateY: -12 }],
+    minWidth: 60,
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.75)',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  dots: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    paddingTop: 8,
+    gap: 4,
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+  },
+});
+
+export default MediaCarousel;
@@ -0,0 +1,148 @@
+/**
+ * Mention Suggestions Component
+ * Username autocomplete shown while an "@mention" is being typed. Pair it
+ * with useMentionAutocomplete on the TextInput it completes.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import Avatar from './Avatar';
+import {
+  findActiveMention,
+  insertMention,
+  searchMentionCandidates
+} from '../utils/mentions';
+
+const SEARCH_DELAY_MS = 200;
+
+/**
+ * Tracks the cursor of a text input and looks up usernames for the
+ * mention being typed
+ * @returns {object} { suggestions, selectSuggestion, onSelectionChange }
+ */
+export const useMentionAutocomplete = (value, onChangeValue) => {
+  const [cursor, setCursor] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+
+  const { user } = useAuth();
+
+  const activeMention = cursor === null ? null : findActiveMention(value, cursor);
+
+  useEffect(() => {
+    if (!activeMention) {
+      setSuggestions([]);
+      return;
+    }
+
+    let canceled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const candidates = await searchMentionCandidates(user.uid, activeMention.query);
+        if (!canceled) setSuggestions(candidates);
+      } catch (error) {
+        console.error('Error searching mentions:', error);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      canceled = true;
+      clearTimeout(timer);
+    };
+  }, [activeMention?.query, activeMention?.start]);
+
+  const selectSuggestion = (candidate) => {
+    const { text, cursor: nextCursor } = insertMention(value, activeMention, candidate.username);
+    onChangeValue(text);
+    setCursor(nextCursor);
+    setSuggestions([]);
+  };
+
+  const onSelectionChange = ({ nativeEvent }) => {
+    const { start, end } = nativeEvent.selection;
+    setCursor(start === end ? start : null);
+  };
+
+  return {
+    suggestions: activeMention ? suggestions : [],
+    selectSuggestion,
+    onSelectionChange,
+  };
+};
+
+const MentionSuggestions = ({ suggestions, onSelect, style }) => {
+  const { theme } = useTheme();
+
+  if (suggestions.length === 0) return null;
+
+  return (
+    <View
+      style={[
+        styles.container,
+        { backgroundColor: theme.colors.surface, borderColor: theme.colors.border },
+        style
+      ]}
+    >
+      <ScrollView keyboardShouldPersistTaps="always">
+        {suggestions.map(candidate => (
+          <TouchableOpacity
+            key={candidate.id}
+            style={styles.suggestion}
+            onPress={() => onSelect(candidate)}
+          >
+            <Avatar
+              uri={candidate.avatar}
+              variants={candidate.avatarVariants}
+              size={32}
+              name={candidate.displayName || candidate.username}
+            />
+            <View style={styles.suggestionInfo}>
+              <Text style={[styles.username, { color: theme.colors.text }]}>
+                {candidate.username}
+              </Text>
+              <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]}>
+                {candidate.following ? 'Following' : candidate.displayName}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    maxHeight: 200,
+    borderWidth: 1,
+    borderRadius: 12,
+    overflow: 'hidden',
+  },
+  suggestion: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  suggestionInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  username: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  subtitle: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+});
+
+export default MentionSuggestions;
@@ -11,9 +11,9 @@ import {
   ScrollView,
   TouchableOpacity,
   FlatList,
-  Image,
   Dimensions,
 } from 'react-native';
+import { Image } from 'expo-image';
 import { 
   doc, 
   getDoc, 
@@ -21,11 +21,7 @@ import {
   query, 
   where, 
   orderBy, 
-  getDocs,
-  setDoc,
-  deleteDoc,
-  updateDoc,
-  increment
+  getDocs
 } from 'firebase/firestore';
 import { Ionicons } from '@expo/vector-icons';
 import { db } from '../firebase';
@@ -34,6 +30,10 @@ import { useTheme } from '../context/ThemeContext';
 import Avatar from '../components/Avatar';
 import Button from '../components/Button';
 import Loader from '../components/Loader';
+import { getOrCreateChat } from '../utils/chatService';
+import { followUser, unfollowUser } from '../utils/followService';
+import { getCoverImageURL, getCoverBlurhash, getCoverMedia, isMultiMedia } from '../utils/postMedia';
+import { isVisiblePost } from '../utils/postStatus';
 
 const { width } = Dimensions.get('window');
 const ITEM_SIZE = (width - 48) / 3;
@@ -77,10 +77,10 @@ const OtherProfileScreen = ({ route, navigation }) => {
       );
 
       const snapshot = await getDocs(postsQuery);
-      const userPosts = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      // Archived and scheduled posts stay in the database but are hidden from the grid
+      const userPosts = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(isVisiblePost);
 
       setPosts(userPosts);
     } catch (error) {
@@ -105,36 +105,10 @@ const OtherProfileScreen = ({ route, navigation }) => {
     setFollowLoading(true);
     try {
       if (isFollowing) {
-        // Unfollow
-        await deleteDoc(doc(db, 'users', user.uid, 'following', userId));
-        await deleteDoc(doc(db, 'users', userId, 'followers', user.uid));
-        
-        // Update counts
-        await updateDoc(doc(db, 'users', user.uid), {
-          followingCount: increment(-1)
-        });
-        await updateDoc(doc(db, 'users', userId), {
-          followersCount: increment(-1)
-        });
-        
+        await unfollowUser(user.uid, userId);
         setIsFollowing(false);
       } else {
-        // Follow
-        await setDoc(doc(db, 'users', user.uid, 'following', userId), {
-          createdAt: new Date()
-        });
-        await setDoc(doc(db, 'users', userId, 'followers', user.uid), {
-          createdAt: new Date()
-        });
-        
-        // Update counts
-        await updateDoc(doc(db, 'users', user.uid), {
-          followingCount: increment(1)
-        });
-        await updateDoc(doc(db, 'users', userId), {
-          followersCount: increment(1)
-        });
-        
+        await followUser(user.uid, userId);
         setIsFollowing(true);
       }
       
@@ -150,21 +124,7 @@ const OtherProfileScreen = ({ route, navigation }) => {
   const handleMessage = async () => {
     try {
       // Create or find existing chat
-      const chatId = [user.uid, userId].sort().join('_');
-      
-      // Check if chat exists
-      const chatDoc = await getDoc(doc(db, 'chats', chatId));
-      
-      if (!chatDoc.exists()) {
-        // Create new chat
-        await setDoc(doc(db, 'chats', chatId), {
-          participants: [user.uid, userId],
-          createdAt: new Date(),
-          lastMessage: '',
-          lastMessageAt: new Date(),
-          unreadCount: 0
-        });
-      }
+      const chatId = await getOrCreateChat(user.uid, userId);
       
       navigation.navigate('Chat', {
         chatId,
@@ -181,8 +141,17 @@ const OtherProfileScreen = ({ route, navigation }) => {
       style={styles.postItem}
       onPress={() => navigation.navigate('Comments', { postId: item.id })}
     >
-      <Image source={{ uri: item.mediaURL }} style={styles.postImage} />
-      {item.mediaType === 'video' && (
+      <Image
+        source={{ uri: getCoverImageURL(item, ITEM_SIZE) }}
+        placeholder={getCoverBlurhash(item) ? { blurhash: getCoverBlurhash(item) } : undefined}
+        style={styles.postImage}
+        contentFit="cover"
+      />
+      {isMultiMedia(item) ? (
+        <View style={styles.videoIndicator}>
+          <Ionicons name="copy" size={14} color="white" />
+        </View>
+      ) : getCoverMedia(item)?.type === 'video' && (
         <View style={styles.videoIndicator}>
           <Ionicons name="play" size={16} color="white" />
         </View>
@@ -245,6 +214,7 @@ const OtherProfileScreen = ({ route, navigation }) => {
         <View style={styles.profileInfo}>
           <Avatar
             uri={userProfile?.avatar}
+            variants={userProfile?.avatarVariants}
             size={80}
             name={userProfile?.displayName || userProfile?.username}
           />
@@ -3,18 +3,19 @@
  * Displays individual posts with like, comment, and share functionality
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   TouchableOpacity,
-  Image,
   Dimensions,
+  Alert,
 } from 'react-native';
-import { Video } from 'expo-av';
+import * as Clipboard from 'expo-clipboard';
+import Toast from 'react-native-toast-message';
 import { Ionicons } from '@expo/vector-icons';
-import { doc, updateDoc, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { useIsFocused } from '@react-navigation/native';
 import Animated, { 
   useSharedValue, 
   useAnimatedStyle, 
@@ -22,10 +23,36 @@ import Animated, {
   withSequence,
   withTiming
 } from 'react-native-reanimated';
-import { db } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { useSavedPosts } from '../context/SavedPostsContext';
+import { useVideo } from '../context/VideoContext';
 import Avatar from './Avatar';
+import SaveToCollectionSheet from './SaveToCollectionSheet';
+import SharePostSheet from './SharePostSheet';
+import MediaCarousel from './MediaCarousel';
+import ActionSheet from './ActionSheet';
+import TextPromptModal from './TextPromptModal';
+import LinkedText from './LinkedText';
+import { getCachedUser, getUser } from '../utils/userResolver';
+import { getPostMedia } from '../utils/postMedia';
+import { getTagStatus, respondToTag } from '../utils/postTags';
+import { COMMENT_SETTINGS, getCommentSetting } from '../utils/comments';
+import {
+  getLikeCount,
+  isPostLikedBy,
+  likePost,
+  unlikePost
+} from '../utils/likeService';
+import {
+  getPostLink,
+  updateCaption,
+  setPostArchived,
+  setCommentSetting,
+  deletePost,
+  reportPost,
+  markNotInterested
+} from '../utils/postActions';
 
 const { width } = Dimensions.get('window');
 
@@ -33,16 +60,86 @@ const PostCard = ({
   post, 
   onPress, 
   onUserPress, 
+  onLikesPress,
+  onHashtagPress,
+  onMentionPress,
+  onCommentSettingChange,
+  onRemove,
   showCommentButton = true 
 }) => {
-  const [isLiked, setIsLiked] = useState(
-    post.likes?.includes(useAuth().user?.uid) || false
-  );
-  const [likesCount, setLikesCount] = useState(post.likes?.length || 0);
+  const [isLiked, setIsLiked] = useState(false);
+  const [likesCount, setLikesCount] = useState(getLikeCount(post));
+  // Attached per feed page by attachTopLikers
+  const [topLiker, setTopLiker] = useState(post.topLiker || null);
   const [liking, setLiking] = useState(false);
+  const [author, setAuthor] = useState(post.user || getCachedUser(post.userId));
+  const [showCollections, setShowCollections] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [showOptions, setShowOptions] = useState(false);
+  const [editingCaption, setEditingCaption] = useState(false);
+  const [caption, setCaption] = useState(post.caption);
+  const [mentions, setMentions] = useState(post.mentions || []);
+  const [edited, setEdited] = useState(!!post.editedAt);
+  const [archived, setArchived] = useState(!!post.archived);
+  const [commentSetting, setCommentSettingState] = useState(getCommentSetting(post));
+  const [media, setMedia] = useState(getPostMedia(post));
+  const [tagStatus, setTagStatus] = useState(null);
 
-  const { user } = useAuth();
+  const { user, userProfile } = useAuth();
   const { theme } = useTheme();
+  const { isSaved, toggleSave } = useSavedPosts();
+  const { activeVideoId } = useVideo();
+  // Cards on screens underneath the current one keep their videos paused
+  const isFocused = useIsFocused();
+  const saved = isSaved(post.id);
+  const isOwner = post.userId === user?.uid;
+
+  useEffect(() => {
+    if (post.user) {
+      setAuthor(post.user);
+      return;
+    }
+
+    let cancelled = false;
+    getUser(post.userId)
+      .then(profile => {
+        if (!cancelled) setAuthor(profile);
+      })
+      .catch(error => console.error('Error loading post author:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [post.userId, post.user]);
+
+  useEffect(() => {
+    setMedia(getPostMedia(post));
+    setTagStatus(user ? getTagStatus(post, user.uid) : null);
+  }, [post.id, user?.uid]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    let cancelled = false;
+    isPostLikedBy(post, user.uid)
+      .then(liked => {
+        if (!cancelled) setIsLiked(liked);
+      })
+      .catch(error => console.error('Error loading like state:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [post.id, user?.uid]);
+
+  // Refreshed posts bring newer like data; a like in flight keeps its
+  // optimistic state until it settles
+  const serverLikeCount = getLikeCount(post);
+  useEffect(() => {
+    if (liking) return;
+    setLikesCount(serverLikeCount);
+    setTopLiker(post.topLiker || null);
+  }, [post.id, serverLikeCount, post.topLiker]);
 
   // Animation values
   const heartScale = useSharedValue(1);
@@ -54,9 +151,17 @@ const PostCard = ({
     setLiking(true);
     const newLikedState = !isLiked;
     
-    // Optimistic UI update
+    const previousTopLiker = topLiker;
+
+    // Optimistic UI update. The viewer becomes the most recent liker; after
+    // an unlike the next one isn't known, so only the count is shown.
     setIsLiked(newLikedState);
     setLikesCount(prev => newLikedState ? prev + 1 : prev - 1);
+    if (newLikedState) {
+      setTopLiker(userProfile);
+    } else if (topLiker?.username === userProfile?.username) {
+      setTopLiker(null);
+    }
 
     // Animate heart
     if (newLikedState) {
@@ -71,27 +176,213 @@ const PostCard = ({
     }
 
     try {
-      const postRef = doc(db, 'posts', post.id);
-      
       if (newLikedState) {
-        await updateDoc(postRef, {
-          likes: arrayUnion(user.uid)
-        });
+        await likePost(post, user.uid);
       } else {
-        await updateDoc(postRef, {
-          likes: arrayRemove(user.uid)
-        });
+        await unlikePost(post, user.uid);
       }
     } catch (error) {
       console.error('Error updating like:', error);
       // Revert optimistic update on error
       setIsLiked(!newLikedState);
       setLikesCount(prev => newLikedState ? prev - 1 : prev + 1);
+      setTopLiker(previousTopLiker);
     } finally {
       setLiking(false);
     }
   };
 
+  const renderLikesSummary = () => {
+    if (!topLiker?.username) {
+      return `${likesCount} ${likesCount === 1 ? 'like' : 'likes'}`;
+    }
+
+    const others = likesCount - 1;
+    return (
+      <>
+        Liked by <Text style={styles.likerName}>@{topLiker.username}</Text>
+        {others > 0 && ` and ${others} ${others === 1 ? 'other' : 'others'}`}
+      </>
+    );
+  };
+
+  const ownerOptions = [
+    { key: 'edit', label: 'Edit caption', icon: 'create-outline' },
+    { key: 'comments', label: 'Comment settings', icon: 'chatbubble-ellipses-outline' },
+    archived
+      ? { key: 'unarchive', label: 'Show on profile', icon: 'archive-outline' }
+      : { key: 'archive', label: 'Archive', icon: 'archive-outline' },
+    { key: 'copyLink', label: 'Copy link', icon: 'link-outline' },
+    { key: 'delete', label: 'Delete', icon: 'trash-outline', destructive: true },
+  ];
+
+  const viewerOptions = [
+    ...(tagStatus ? [{ key: 'removeTag', label: 'Remove me from post', icon: 'person-remove-outline' }] : []),
+    { key: 'copyLink', label: 'Copy link', icon: 'link-outline' },
+    { key: 'notInterested', label: 'Not interested', icon: 'eye-off-outline' },
+    { key: 'report', label: 'Report', icon: 'flag-outline', destructive: true },
+  ];
+
+  const handleOption = async (key) => {
+    switch (key) {
+      case 'edit':
+        setEditingCaption(true);
+        break;
+      case 'archive':
+      case 'unarchive':
+        try {
+          await setPostArchived(post.id, key === 'archive');
+          setArchived(key === 'archive');
+          Toast.show({
+            type: 'success',
+            text1: key === 'archive' ? 'Post Archived' : 'Post Restored',
+            text2: key === 'archive'
+              ? 'Only you can see it now'
+              : 'The post is back on your profile'
+          });
+        } catch (error) {
+          console.error('Error archiving post:', error);
+        }
+        break;
+      case 'comments':
+        chooseCommentSetting();
+        break;
+      case 'copyLink':
+        await Clipboard.setStringAsync(getPostLink(post.id));
+        Toast.show({ type: 'success', text1: 'Link copied' });
+        break;
+      case 'delete':
+        confirmDelete();
+        break;
+      case 'notInterested':
+        try {
+          await markNotInterested(user.uid, post.id, post);
+          onRemove?.(post.id);
+          Toast.show({ type: 'success', text1: "We'll show fewer posts like this" });
+        } catch (error) {
+          console.error('Error hiding post:', error);
+        }
+        break;
+      case 'report':
+        confirmReport();
+        break;
+      case 'removeTag':
+        handleTagResponse(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const updateCommentSetting = async (value) => {
+    const previous = commentSetting;
+    try {
+      setCommentSettingState(value);
+      await setCommentSetting(post.id, value);
+      onCommentSettingChange?.(value);
+    } catch (error) {
+      console.error('Error updating comment setting:', error);
+      setCommentSettingState(previous); // Revert on error
+      Toast.show({ type: 'error', text1: 'Could not update comment settings' });
+    }
+  };
+
+  const chooseCommentSetting = () => {
+    const current = COMMENT_SETTINGS.find(option => option.key === commentSetting);
+    Alert.alert(
+      'Comments',
+      `Who can comment on this post? Currently: ${current?.label}`,
+      [
+        ...COMMENT_SETTINGS.map(option => ({
+          text: option.label,
+          onPress: () => updateCommentSetting(option.key)
+        })),
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+
+  const confirmDelete = () => {
+    Alert.alert(
+      'Delete Post',
+      'This post and its comments will be permanently deleted.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deletePost(post.id);
+              onRemove?.(post.id);
+              Toast.show({ type: 'success', text1: 'Post Deleted' });
+            } catch (error) {
+              console.error('Error deleting post:', error);
+              Toast.show({
+                type: 'error',
+                text1: 'Delete Failed',
+                text2: 'Please try again.'
+              });
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const confirmReport = () => {
+    const submitReport = async (reason) => {
+      try {
+        await reportPost(post.id, post, user.uid, reason);
+        Toast.show({
+          type: 'success',
+          text1: 'Thanks for reporting',
+          text2: 'Our team will review this post'
+        });
+      } catch (error) {
+        console.error('Error reporting post:', error);
+      }
+    };
+
+    Alert.alert('Report Post', 'Why are you reporting this post?', [
+      { text: 'Spam', onPress: () => submitReport('spam') },
+      { text: 'Inappropriate', onPress: () => submitReport('inappropriate') },
+      { text: 'Cancel', style: 'cancel' }
+    ]);
+  };
+
+  const handleTagResponse = async (approve) => {
+    try {
+      await respondToTag(post.id, approve);
+      if (approve) {
+        setTagStatus('tagged');
+        Toast.show({ type: 'success', text1: 'Tag approved', text2: 'The post now shows on your profile' });
+      } else {
+        setTagStatus(null);
+        setMedia(media.map(item => item.tags
+          ? { ...item, tags: item.tags.filter(tag => tag.userId !== user.uid) }
+          : item
+        ));
+        Toast.show({ type: 'success', text1: 'Tag removed' });
+      }
+    } catch (error) {
+      console.error('Error responding to tag:', error);
+      Toast.show({ type: 'error', text1: 'Could not update tag' });
+    }
+  };
+
+  const handleCaptionSubmit = async (value) => {
+    setEditingCaption(false);
+    try {
+      setMentions(await updateCaption(post.id, value));
+      setCaption(value);
+      setEdited(true);
+    } catch (error) {
+      console.error('Error updating caption:', error);
+      Toast.show({ type: 'error', text1: 'Could not update caption' });
+    }
+  };
+
   const handleDoublePress = () => {
     if (!isLiked) {
       handleLike();
@@ -122,42 +413,54 @@ const PostCard = ({
       <View style={styles.header}>
         <TouchableOpacity style={styles.userInfo} onPress={onUserPress}>
           <Avatar
-            uri={post.user?.avatar}
+            uri={author?.avatar}
+            variants={author?.avatarVariants}
             size={40}
-            name={post.user?.displayName || post.user?.username}
+            name={author?.displayName || author?.username}
           />
           <View style={styles.userDetails}>
             <Text style={[styles.username, { color: theme.colors.text }]}>
-              {post.user?.displayName || post.user?.username || 'Unknown User'}
+              {author?.displayName || author?.username || 'Unknown User'}
             </Text>
             <Text style={[styles.timestamp, { color: theme.colors.textSecondary }]}>
               {formatTime(post.createdAt)}
+              {archived ? ' · Archived' : ''}
             </Text>
           </View>
         </TouchableOpacity>
 
-        <TouchableOpacity style={styles.moreButton}>
+        <TouchableOpacity style={styles.moreButton} onPress={() => setShowOptions(true)}>
           <Ionicons name="ellipsis-horizontal" size={20} color={theme.colors.textSecondary} />
         </TouchableOpacity>
       </View>
 
+      {/* Tag waiting for approval */}
+      {tagStatus === 'pending' && (
+        <View style={[styles.tagRequest, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.tagRequestText, { color: theme.colors.text }]}>
+            {author?.username || 'Someone'} tagged you in this post
+          </Text>
+          <TouchableOpacity onPress={() => handleTagResponse(true)}>
+            <Text style={[styles.tagRequestAction, { color: theme.colors.primary }]}>Approve</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => handleTagResponse(false)}>
+            <Text style={[styles.tagRequestAction, { color: theme.colors.textSecondary }]}>Remove</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Media */}
       <View style={styles.mediaContainer}>
         <TouchableOpacity
           activeOpacity={0.9}
           onPress={handleDoublePress}
         >
-          {post.mediaType === 'video' ? (
-            <Video
-              source={{ uri: post.mediaURL }}
-              style={styles.media}
-              useNativeControls
-              resizeMode="cover"
-              shouldPlay={false}
-            />
-          ) : (
-            <Image source={{ uri: post.mediaURL }} style={styles.media} />
-          )}
+          <MediaCarousel
+            media={media}
+            size={width}
+            active={isFocused && activeVideoId === post.id}
+            onTagPress={onMentionPress}
+          />
         </TouchableOpacity>
 
         {/* Animated Heart */}
@@ -189,31 +492,48 @@ const PostCard = ({
             </TouchableOpacity>
           )}
 
-          <TouchableOpacity style={styles.actionButton}>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => setShowShare(true)}
+          >
             <Ionicons name="paper-plane-outline" size={24} color={theme.colors.text} />
           </TouchableOpacity>
         </View>
 
-        <TouchableOpacity style={styles.actionButton}>
-          <Ionicons name="bookmark-outline" size={24} color={theme.colors.text} />
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => toggleSave(post.id).catch(() => {})}
+          onLongPress={() => setShowCollections(true)}
+        >
+          <Ionicons name={saved ? 'bookmark' : 'bookmark-outline'} size={24} color={theme.colors.text} />
         </TouchableOpacity>
       </View>
 
       {/* Likes Count */}
       {likesCount > 0 && (
-        <Text style={[styles.likesCount, { color: theme.colors.text }]}>
-          {likesCount} {likesCount === 1 ? 'like' : 'likes'}
-        </Text>
+        <TouchableOpacity onPress={() => onLikesPress?.(post.id)} disabled={!onLikesPress}>
+          <Text style={[styles.likesCount, { color: theme.colors.text }]}>
+            {renderLikesSummary()}
+          </Text>
+        </TouchableOpacity>
       )}
 
       {/* Caption */}
-      {post.caption && (
+      {!!caption && (
         <View style={styles.captionContainer}>
           <Text style={[styles.caption, { color: theme.colors.text }]}>
             <Text style={styles.captionUsername}>
-              {post.user?.username || 'user'}{' '}
+              {author?.username || 'user'}{' '}
             </Text>
-            {post.caption}
+            <LinkedText
+              text={caption}
+              mentions={mentions}
+              onHashtagPress={onHashtagPress}
+              onMentionPress={onMentionPress}
+            />
+            {edited && (
+              <Text style={{ color: theme.colors.textSecondary }}> (edited)</Text>
+            )}
           </Text>
         </View>
       )}
@@ -226,6 +546,44 @@ const PostCard = ({
           </Text>
         </TouchableOpacity>
       )}
+
+      {showCollections && (
+        <SaveToCollectionSheet
+          visible={showCollections}
+          postId={post.id}
+          onClose={() => setShowCollections(false)}
+        />
+      )}
+
+      {showOptions && (
+        <ActionSheet
+          visible={showOptions}
+          options={isOwner ? ownerOptions : viewerOptions}
+          onSelect={handleOption}
+          onClose={() => setShowOptions(false)}
+        />
+      )}
+
+      {editingCaption && (
+        <TextPromptModal
+          visible={editingCaption}
+          title="Edit caption"
+          placeholder="Write a caption..."
+          initialValue={caption || ''}
+          maxLength={500}
+          multiline
+          onSubmit={handleCaptionSubmit}
+          onCancel={() => setEditingCaption(false)}
+        />
+      )}
+
+      {showShare && (
+        <SharePostSheet
+          visible={showShare}
+          postId={post.id}
+          onClose={() => setShowShare(false)}
+        />
+      )}
     </View>
   );
 };
@@ -260,13 +618,24 @@ const styles = StyleSheet.create({
   moreButton: {
     padding: 4,
   },
+  tagRequest: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    gap: 16,
+  },
+  tagRequestText: {
+    flex: 1,
+    fontSize: 14,
+  },
+  tagRequestAction: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   mediaContainer: {
     position: 'relative',
   },
-  media: {
-    width: width,
-    height: width,
-  },
   animatedHeart: {
     position: 'absolute',
     top: '50%',
@@ -296,6 +665,9 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     marginBottom: 8,
   },
+  likerName: {
+    fontWeight: 'bold',
+  },
   captionContainer: {
     paddingHorizontal: 16,
     marginBottom: 8,
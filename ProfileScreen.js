@@ -11,9 +11,9 @@ import {
   ScrollView,
   TouchableOpacity,
   FlatList,
-  Image,
   Dimensions,
 } from 'react-native';
+import { Image } from 'expo-image';
 import { 
   collection, 
   query, 
@@ -22,29 +22,55 @@ import {
   getDocs 
 } from 'firebase/firestore';
 import { Ionicons } from '@expo/vector-icons';
+import { useIsFocused } from '@react-navigation/native';
 import { db } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import Avatar from '../components/Avatar';
 import Button from '../components/Button';
 import Loader from '../components/Loader';
+import SavedPostsTab from '../components/SavedPostsTab';
+import { getCoverImageURL, getCoverBlurhash, getCoverMedia, isMultiMedia } from '../utils/postMedia';
+import { isPublished } from '../utils/postStatus';
+import { fetchTaggedPosts } from '../utils/postTags';
 
 const { width } = Dimensions.get('window');
 const ITEM_SIZE = (width - 48) / 3;
 
 const ProfileScreen = ({ navigation }) => {
   const [posts, setPosts] = useState([]);
+  // Posts hidden from the grid, only visible to the owner
+  const [archivedPosts, setArchivedPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('posts');
+  // null until the tagged tab is first opened
+  const [taggedPosts, setTaggedPosts] = useState(null);
 
   const { user, userProfile, logout } = useAuth();
   const { theme } = useTheme();
+  const isFocused = useIsFocused();
 
+  // Reload on focus so posts archived or restored elsewhere move tabs
   useEffect(() => {
-    if (user) {
+    if (user && isFocused) {
       loadUserPosts();
     }
-  }, [user]);
+  }, [user, isFocused]);
+
+  useEffect(() => {
+    if (user && activeTab === 'tagged') {
+      loadTaggedPosts();
+    }
+  }, [user, activeTab]);
+
+  const loadTaggedPosts = async () => {
+    try {
+      setTaggedPosts(await fetchTaggedPosts(user.uid));
+    } catch (error) {
+      console.error('Error loading tagged posts:', error);
+      setTaggedPosts([]);
+    }
+  };
 
   const loadUserPosts = async () => {
     try {
@@ -55,12 +81,13 @@ const ProfileScreen = ({ navigation }) => {
       );
 
       const snapshot = await getDocs(postsQuery);
-      const userPosts = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      // Archived and scheduled posts stay in the database but are hidden from the grid
+      const publishedPosts = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(isPublished);
 
-      setPosts(userPosts);
+      setPosts(publishedPosts.filter(post => !post.archived));
+      setArchivedPosts(publishedPosts.filter(post => post.archived));
     } catch (error) {
       console.error('Error loading user posts:', error);
     } finally {
@@ -73,8 +100,17 @@ const ProfileScreen = ({ navigation }) => {
       style={styles.postItem}
       onPress={() => navigation.navigate('Comments', { postId: item.id })}
     >
-      <Image source={{ uri: item.mediaURL }} style={styles.postImage} />
-      {item.mediaType === 'video' && (
+      <Image
+        source={{ uri: getCoverImageURL(item, ITEM_SIZE) }}
+        placeholder={getCoverBlurhash(item) ? { blurhash: getCoverBlurhash(item) } : undefined}
+        style={styles.postImage}
+        contentFit="cover"
+      />
+      {isMultiMedia(item) ? (
+        <View style={styles.videoIndicator}>
+          <Ionicons name="copy" size={14} color="white" />
+        </View>
+      ) : getCoverMedia(item)?.type === 'video' && (
         <View style={styles.videoIndicator}>
           <Ionicons name="play" size={16} color="white" />
         </View>
@@ -142,6 +178,34 @@ const ProfileScreen = ({ navigation }) => {
           color={activeTab === 'tagged' ? theme.colors.primary : theme.colors.textSecondary} 
         />
       </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[
+          styles.tab,
+          activeTab === 'saved' && { borderBottomColor: theme.colors.primary }
+        ]}
+        onPress={() => setActiveTab('saved')}
+      >
+        <Ionicons 
+          name="bookmark-outline" 
+          size={20} 
+          color={activeTab === 'saved' ? theme.colors.primary : theme.colors.textSecondary} 
+        />
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[
+          styles.tab,
+          activeTab === 'archive' && { borderBottomColor: theme.colors.primary }
+        ]}
+        onPress={() => setActiveTab('archive')}
+      >
+        <Ionicons 
+          name="archive-outline" 
+          size={20} 
+          color={activeTab === 'archive' ? theme.colors.primary : theme.colors.textSecondary} 
+        />
+      </TouchableOpacity>
     </View>
   );
 
@@ -159,6 +223,7 @@ const ProfileScreen = ({ navigation }) => {
         <View style={styles.profileInfo}>
           <Avatar
             uri={userProfile?.avatar}
+            variants={userProfile?.avatarVariants}
             size={80}
             name={userProfile?.displayName || userProfile?.username}
           />
@@ -189,6 +254,20 @@ const ProfileScreen = ({ navigation }) => {
             textStyle={{ color: theme.colors.text }}
           />
           
+          <TouchableOpacity
+            style={[styles.settingsButton, { backgroundColor: theme.colors.surface }]}
+            onPress={() => navigation.navigate('Activity')}
+          >
+            <Ionicons name="notifications-outline" size={20} color={theme.colors.text} />
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={[styles.settingsButton, { backgroundColor: theme.colors.surface }]}
+            onPress={() => navigation.navigate('ScheduledPosts')}
+          >
+            <Ionicons name="calendar-outline" size={20} color={theme.colors.text} />
+          </TouchableOpacity>
+          
           <TouchableOpacity
             style={[styles.settingsButton, { backgroundColor: theme.colors.surface }]}
             onPress={() => navigation.navigate('Settings')}
@@ -236,18 +315,68 @@ const ProfileScreen = ({ navigation }) => {
         </View>
       )}
 
-      {/* Tagged Posts (Placeholder) */}
+      {/* Tagged Posts */}
       {activeTab === 'tagged' && (
-        <View style={styles.emptyPosts}>
-          <Ionicons 
-            name="person-outline" 
-            size={48} 
-            color={theme.colors.textSecondary} 
-          />
-          <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
-            No tagged posts
-          </Text>
-        </View>
+        taggedPosts === null ? (
+          <Loader style={styles.emptyPosts} />
+        ) : taggedPosts.length > 0 ? (
+          <View style={styles.postsGrid}>
+            <FlatList
+              data={taggedPosts}
+              renderItem={renderPost}
+              keyExtractor={(item) => item.id}
+              numColumns={3}
+              scrollEnabled={false}
+              showsVerticalScrollIndicator={false}
+            />
+          </View>
+        ) : (
+          <View style={styles.emptyPosts}>
+            <Ionicons 
+              name="person-outline" 
+              size={48} 
+              color={theme.colors.textSecondary} 
+            />
+            <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+              No tagged posts
+            </Text>
+          </View>
+        )
+      )}
+
+      {/* Saved Posts */}
+      {activeTab === 'saved' && (
+        <SavedPostsTab navigation={navigation} />
+      )}
+
+      {/* Archived Posts */}
+      {activeTab === 'archive' && (
+        archivedPosts.length > 0 ? (
+          <View style={styles.postsGrid}>
+            <FlatList
+              data={archivedPosts}
+              renderItem={renderPost}
+              keyExtractor={(item) => item.id}
+              numColumns={3}
+              scrollEnabled={false}
+              showsVerticalScrollIndicator={false}
+            />
+          </View>
+        ) : (
+          <View style={styles.emptyPosts}>
+            <Ionicons 
+              name="archive-outline" 
+              size={48} 
+              color={theme.colors.textSecondary} 
+            />
+            <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+              No archived posts
+            </Text>
+            <Text style={[styles.emptyHint, { color: theme.colors.textSecondary }]}>
+              Archived posts are hidden from your profile. Open one to show it again.
+            </Text>
+          </View>
+        )
       )}
     </ScrollView>
   );
@@ -358,6 +487,11 @@ const styles = StyleSheet.create({
     marginTop: 12,
     marginBottom: 16,
   },
+  emptyHint: {
+    fontSize: 14,
+    textAlign: 'center',
+    paddingHorizontal: 32,
+  },
   createPostButton: {
     paddingHorizontal: 24,
     paddingVertical: 12,
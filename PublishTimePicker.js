@@ -0,0 +1,99 @@
+/**
+ * Publish Time Picker Component
+ * Date and time fields for choosing when a scheduled post goes live
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { Ionicons } from '@expo/vector-icons';
+import { format } from 'date-fns';
+import { useTheme } from '../context/ThemeContext';
+
+const PublishTimePicker = ({ value, onChange }) => {
+  // 'date' or 'time' while a picker is open
+  const [pickerMode, setPickerMode] = useState(null);
+
+  const { theme } = useTheme();
+
+  const handleChange = (event, selected) => {
+    // Android shows a dialog that closes itself; iOS stays open until Done
+    if (Platform.OS === 'android') {
+      setPickerMode(null);
+    }
+    if (event.type === 'set' && selected) {
+      onChange(selected);
+    }
+  };
+
+  const renderField = (mode, icon, label) => (
+    <TouchableOpacity
+      style={[
+        styles.field,
+        {
+          backgroundColor: theme.colors.surface,
+          borderColor: pickerMode === mode ? theme.colors.primary : theme.colors.border,
+        }
+      ]}
+      onPress={() => setPickerMode(pickerMode === mode ? null : mode)}
+    >
+      <Ionicons name={icon} size={18} color={theme.colors.text} />
+      <Text style={[styles.fieldText, { color: theme.colors.text }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      <View style={styles.fields}>
+        {renderField('date', 'calendar-outline', format(value, 'EEE, MMM d'))}
+        {renderField('time', 'time-outline', format(value, 'h:mm a'))}
+      </View>
+
+      {pickerMode && (
+        <View>
+          <DateTimePicker
+            value={value}
+            mode={pickerMode}
+            display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+            minimumDate={new Date()}
+            onChange={handleChange}
+          />
+          {Platform.OS === 'ios' && (
+            <TouchableOpacity style={styles.doneButton} onPress={() => setPickerMode(null)}>
+              <Text style={[styles.doneText, { color: theme.colors.primary }]}>Done</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  fields: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  field: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderWidth: 1,
+    borderRadius: 12,
+    gap: 8,
+  },
+  fieldText: {
+    fontSize: 15,
+  },
+  doneButton: {
+    alignSelf: 'flex-end',
+    padding: 8,
+  },
+  doneText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default PublishTimePicker;
@@ -24,6 +24,11 @@ import EditProfileScreen from '../screens/EditProfileScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import SearchScreen from '../screens/SearchScreen';
 import ChatScreen from '../screens/ChatScreen';
+import LikesScreen from '../screens/LikesScreen';
+import DraftsScreen from '../screens/DraftsScreen';
+import ScheduledPostsScreen from '../screens/ScheduledPostsScreen';
+import HashtagScreen from '../screens/HashtagScreen';
+import ActivityScreen from '../screens/ActivityScreen';
 
 // Components
 import Loader from '../components/Loader';
@@ -95,6 +100,33 @@ const RootStack = () => {
             component={CommentsScreen}
             options={{ title: 'Comments' }}
           />
+          <Stack.Screen 
+            name="Likes" 
+            component={LikesScreen}
+            options={{ title: 'Likes' }}
+          />
+          <Stack.Screen 
+            name="Drafts" 
+            component={DraftsScreen}
+            options={{ title: 'Drafts' }}
+          />
+          <Stack.Screen 
+            name="ScheduledPosts" 
+            component={ScheduledPostsScreen}
+            options={{ title: 'Scheduled' }}
+          />
+          <Stack.Screen 
+            name="Hashtag" 
+            component={HashtagScreen}
+            options={({ route }) => ({ 
+              title: `#${route.params?.tag || ''}` 
+            })}
+          />
+          <Stack.Screen 
+            name="Activity" 
+            component={ActivityScreen}
+            options={{ title: 'Activity' }}
+          />
           <Stack.Screen 
             name="OtherProfile" 
             component={OtherProfileScreen}
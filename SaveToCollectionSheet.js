@@ -0,0 +1,176 @@
+/**
+ * Save To Collection Sheet Component
+ * Bottom sheet for choosing which saved collections a post belongs to
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useSavedPosts } from '../context/SavedPostsContext';
+import TextPromptModal from './TextPromptModal';
+
+const SaveToCollectionSheet = ({ visible, postId, onClose }) => {
+  const [selected, setSelected] = useState([]);
+  const [showNewCollection, setShowNewCollection] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const { theme } = useTheme();
+  const { savedPosts, collections, setPostCollections, createCollection } = useSavedPosts();
+
+  useEffect(() => {
+    if (visible) {
+      setSelected(savedPosts.get(postId)?.collections || []);
+    }
+  }, [visible, postId]);
+
+  const toggleCollection = (name) => {
+    setSelected(prev => (
+      prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]
+    ));
+  };
+
+  const handleCreateCollection = async (name) => {
+    setShowNewCollection(false);
+    try {
+      await createCollection(name);
+      setSelected(prev => (prev.includes(name) ? prev : [...prev, name]));
+    } catch (error) {
+      console.error('Error creating collection:', error);
+    }
+  };
+
+  const handleDone = async () => {
+    setSaving(true);
+    try {
+      await setPostCollections(postId, selected);
+      onClose();
+    } catch (error) {
+      console.error('Error saving to collections:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+
+      <View style={[styles.sheet, { backgroundColor: theme.colors.background }]}>
+        <View style={[styles.handle, { backgroundColor: theme.colors.border }]} />
+
+        <Text style={[styles.title, { color: theme.colors.text }]}>
+          Save to collection
+        </Text>
+
+        <ScrollView style={styles.list}>
+          {collections.map(name => (
+            <TouchableOpacity
+              key={name}
+              style={styles.row}
+              onPress={() => toggleCollection(name)}
+            >
+              <Ionicons name="albums-outline" size={22} color={theme.colors.text} />
+              <Text style={[styles.rowText, { color: theme.colors.text }]}>
+                {name}
+              </Text>
+              <Ionicons
+                name={selected.includes(name) ? 'checkmark-circle' : 'ellipse-outline'}
+                size={22}
+                color={selected.includes(name) ? theme.colors.primary : theme.colors.textSecondary}
+              />
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity style={styles.row} onPress={() => setShowNewCollection(true)}>
+            <Ionicons name="add" size={22} color={theme.colors.primary} />
+            <Text style={[styles.rowText, { color: theme.colors.primary }]}>
+              New collection
+            </Text>
+          </TouchableOpacity>
+        </ScrollView>
+
+        <TouchableOpacity
+          style={[styles.doneButton, { backgroundColor: theme.colors.primary }]}
+          onPress={handleDone}
+          disabled={saving}
+        >
+          <Text style={[styles.doneText, { color: theme.colors.background }]}>
+            Done
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <TextPromptModal
+        visible={showNewCollection}
+        title="New collection"
+        placeholder="Collection name"
+        submitLabel="Create"
+        onSubmit={handleCreateCollection}
+        onCancel={() => setShowNewCollection(false)}
+      />
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: 16,
+    paddingBottom: 32,
+    maxHeight: '70%',
+  },
+  handle: {
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginVertical: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginVertical: 8,
+  },
+  list: {
+    marginBottom: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    gap: 12,
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 16,
+  },
+  doneButton: {
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  doneText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default SaveToCollectionSheet;
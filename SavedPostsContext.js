@@ -0,0 +1,193 @@
+/**
+ * Saved Posts Context Provider
+ * Tracks which posts the user has saved and the collections they belong to
+ */
+
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import {
+  collection,
+  doc,
+  onSnapshot,
+  setDoc,
+  deleteDoc,
+  updateDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  arrayUnion,
+  arrayRemove
+} from 'firebase/firestore';
+import Toast from 'react-native-toast-message';
+import { db } from '../firebase';
+import { useAuth } from './AuthContext';
+import { chunk } from '../utils/feedService';
+
+// Firestore batches hold at most 500 writes
+const BATCH_LIMIT = 450;
+
+const SavedPostsContext = createContext(null);
+
+export const useSavedPosts = () => {
+  const context = useContext(SavedPostsContext);
+  if (!context) {
+    throw new Error('useSavedPosts must be used within a SavedPostsProvider');
+  }
+  return context;
+};
+
+export const SavedPostsProvider = ({ children }) => {
+  // postId -> saved document data
+  const [savedPosts, setSavedPosts] = useState(new Map());
+  const [collections, setCollections] = useState([]);
+
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (!user) {
+      setSavedPosts(new Map());
+      setCollections([]);
+      return;
+    }
+
+    const unsubscribeSaved = onSnapshot(
+      collection(db, 'users', user.uid, 'saved'),
+      (snapshot) => {
+        setSavedPosts(new Map(snapshot.docs.map(docSnap => [docSnap.id, docSnap.data()])));
+      },
+      (error) => console.error('Error loading saved posts:', error)
+    );
+
+    const unsubscribeUser = onSnapshot(
+      doc(db, 'users', user.uid),
+      (snapshot) => {
+        setCollections(snapshot.data()?.savedCollections || []);
+      },
+      (error) => console.error('Error loading saved collections:', error)
+    );
+
+    return () => {
+      unsubscribeSaved();
+      unsubscribeUser();
+    };
+  }, [user]);
+
+  const savedRef = (postId) => doc(db, 'users', user.uid, 'saved', postId);
+
+  const isSaved = (postId) => savedPosts.has(postId);
+
+  const savePost = async (postId, collectionNames = []) => {
+    try {
+      await setDoc(savedRef(postId), {
+        postId,
+        collections: collectionNames,
+        savedAt: new Date()
+      });
+    } catch (error) {
+      console.error('Error saving post:', error);
+      Toast.show({ type: 'error', text1: 'Could not save post' });
+      throw error;
+    }
+  };
+
+  const unsavePost = async (postId) => {
+    try {
+      await deleteDoc(savedRef(postId));
+    } catch (error) {
+      console.error('Error removing saved post:', error);
+      Toast.show({ type: 'error', text1: 'Could not remove saved post' });
+      throw error;
+    }
+  };
+
+  const toggleSave = (postId) => (
+    isSaved(postId) ? unsavePost(postId) : savePost(postId)
+  );
+
+  /**
+   * Sets exactly which collections a post belongs to, saving it if needed
+   */
+  const setPostCollections = async (postId, collectionNames) => {
+    if (!isSaved(postId)) {
+      return savePost(postId, collectionNames);
+    }
+
+    try {
+      await updateDoc(savedRef(postId), { collections: collectionNames });
+    } catch (error) {
+      console.error('Error updating saved collections:', error);
+      throw error;
+    }
+  };
+
+  const createCollection = async (name) => {
+    const trimmed = name.trim();
+    if (!trimmed || collections.includes(trimmed)) return;
+
+    await updateDoc(doc(db, 'users', user.uid), {
+      savedCollections: arrayUnion(trimmed)
+    });
+  };
+
+  /**
+   * Updates every saved post in a collection, a batch at a time, and then
+   * the user's list of collections
+   */
+  const updateCollectionMembers = async (name, memberUpdate, userUpdate) => {
+    const members = await getDocs(query(
+      collection(db, 'users', user.uid, 'saved'),
+      where('collections', 'array-contains', name)
+    ));
+
+    for (const memberChunk of chunk(members.docs, BATCH_LIMIT)) {
+      const batch = writeBatch(db);
+      memberChunk.forEach(docSnap => batch.update(docSnap.ref, memberUpdate(docSnap)));
+      await batch.commit();
+    }
+
+    await updateDoc(doc(db, 'users', user.uid), userUpdate);
+  };
+
+  const renameCollection = async (oldName, newName) => {
+    const trimmed = newName.trim();
+    if (!trimmed || trimmed === oldName || collections.includes(trimmed)) return;
+
+    await updateCollectionMembers(
+      oldName,
+      (docSnap) => ({
+        collections: docSnap.data().collections.map(name => (name === oldName ? trimmed : name))
+      }),
+      { savedCollections: collections.map(name => (name === oldName ? trimmed : name)) }
+    );
+  };
+
+  /**
+   * Removes a collection. Its posts stay saved under "All".
+   */
+  const deleteCollection = async (name) => {
+    await updateCollectionMembers(
+      name,
+      () => ({ collections: arrayRemove(name) }),
+      { savedCollections: arrayRemove(name) }
+    );
+  };
+
+  const value = {
+    savedPosts,
+    collections,
+    isSaved,
+    savePost,
+    unsavePost,
+    toggleSave,
+    setPostCollections,
+    createCollection,
+    renameCollection,
+    deleteCollection
+  };
+
+  return (
+    <SavedPostsContext.Provider value={value}>
+      {children}
+    </SavedPostsContext.Provider>
+  );
+};
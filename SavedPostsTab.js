@@ -0,0 +1,317 @@
+/**
+ * Saved Posts Tab Component
+ * Grid of saved posts on the profile, filtered by collection,
+ * with collection management
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ScrollView,
+  Alert,
+  Dimensions,
+} from 'react-native';
+import { Image } from 'expo-image';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useSavedPosts } from '../context/SavedPostsContext';
+import { fetchPostsByIds } from '../utils/feedService';
+import { getCoverImageURL, getCoverBlurhash, getCoverMedia, isMultiMedia } from '../utils/postMedia';
+import TextPromptModal from './TextPromptModal';
+import Loader from './Loader';
+
+const { width } = Dimensions.get('window');
+const ITEM_SIZE = (width - 48) / 3;
+const ALL_COLLECTION = null;
+
+const SavedPostsTab = ({ navigation }) => {
+  const [activeCollection, setActiveCollection] = useState(ALL_COLLECTION);
+  // postId -> post data, or null once we know the post was deleted
+  const [postsById, setPostsById] = useState(new Map());
+  const [loading, setLoading] = useState(true);
+  const [prompt, setPrompt] = useState(null);
+
+  const { theme } = useTheme();
+  const {
+    savedPosts,
+    collections,
+    unsavePost,
+    createCollection,
+    renameCollection,
+    deleteCollection
+  } = useSavedPosts();
+
+  useEffect(() => {
+    loadSavedPosts();
+  }, [savedPosts]);
+
+  useEffect(() => {
+    if (activeCollection && !collections.includes(activeCollection)) {
+      setActiveCollection(ALL_COLLECTION);
+    }
+  }, [collections]);
+
+  const loadSavedPosts = async () => {
+    const missingIds = [...savedPosts.keys()].filter(postId => !postsById.has(postId));
+    if (missingIds.length === 0) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const posts = await fetchPostsByIds(missingIds);
+      const found = new Map(posts.map(post => [post.id, post]));
+
+      setPostsById(prev => {
+        const next = new Map(prev);
+        missingIds.forEach(postId => next.set(postId, found.get(postId) || null));
+        return next;
+      });
+    } catch (error) {
+      console.error('Error loading saved posts:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const visibleItems = [...savedPosts.values()]
+    .filter(saved => !activeCollection || saved.collections?.includes(activeCollection))
+    .sort((a, b) => (b.savedAt?.toMillis?.() || 0) - (a.savedAt?.toMillis?.() || 0));
+
+  const handleCollectionOptions = (name) => {
+    Alert.alert(name, null, [
+      { text: 'Rename', onPress: () => setPrompt({ mode: 'rename', name }) },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => Alert.alert(
+          'Delete Collection',
+          `Delete "${name}"? Posts in it stay in your saved posts.`,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            {
+              text: 'Delete',
+              style: 'destructive',
+              onPress: () => deleteCollection(name).catch(error => {
+                console.error('Error deleting collection:', error);
+              })
+            }
+          ]
+        )
+      },
+      { text: 'Cancel', style: 'cancel' }
+    ]);
+  };
+
+  const handlePromptSubmit = async (value) => {
+    const current = prompt;
+    setPrompt(null);
+
+    try {
+      if (current.mode === 'rename') {
+        await renameCollection(current.name, value);
+        if (activeCollection === current.name) {
+          setActiveCollection(value);
+        }
+      } else {
+        await createCollection(value);
+      }
+    } catch (error) {
+      console.error('Error updating collection:', error);
+    }
+  };
+
+  const renderChip = (label, value) => {
+    const active = activeCollection === value;
+    return (
+      <TouchableOpacity
+        key={label}
+        style={[
+          styles.chip,
+          { backgroundColor: active ? theme.colors.primary : theme.colors.surface }
+        ]}
+        onPress={() => setActiveCollection(value)}
+        onLongPress={value ? () => handleCollectionOptions(value) : undefined}
+      >
+        <Text style={[styles.chipText, { color: active ? theme.colors.background : theme.colors.text }]}>
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const post = postsById.get(item.postId);
+
+    if (post === null) {
+      return (
+        <TouchableOpacity
+          style={[styles.postItem, styles.unavailable, { backgroundColor: theme.colors.surface }]}
+          onLongPress={() => Alert.alert(
+            'Post unavailable',
+            'This post was deleted. Remove it from your saved posts?',
+            [
+              { text: 'Cancel', style: 'cancel' },
+              { text: 'Remove', style: 'destructive', onPress: () => unsavePost(item.postId) }
+            ]
+          )}
+        >
+          <Ionicons name="eye-off-outline" size={20} color={theme.colors.textSecondary} />
+          <Text style={[styles.unavailableText, { color: theme.colors.textSecondary }]}>
+            Post unavailable
+          </Text>
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        style={styles.postItem}
+        onPress={() => navigation.navigate('Comments', { postId: item.postId })}
+        disabled={!post}
+      >
+        {post ? (
+          <Image
+            source={{ uri: getCoverImageURL(post, ITEM_SIZE) }}
+            placeholder={getCoverBlurhash(post) ? { blurhash: getCoverBlurhash(post) } : undefined}
+            style={styles.postImage}
+            contentFit="cover"
+          />
+        ) : (
+          <View style={[styles.postImage, { backgroundColor: theme.colors.surface }]} />
+        )}
+        {post && isMultiMedia(post) ? (
+          <View style={styles.videoIndicator}>
+            <Ionicons name="copy" size={14} color="white" />
+          </View>
+        ) : getCoverMedia(post)?.type === 'video' && (
+          <View style={styles.videoIndicator}>
+            <Ionicons name="play" size={16} color="white" />
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chips}
+      >
+        {renderChip('All', ALL_COLLECTION)}
+        {collections.map(name => renderChip(name, name))}
+        <TouchableOpacity
+          style={[styles.chip, { borderColor: theme.colors.border, borderWidth: 1 }]}
+          onPress={() => setPrompt({ mode: 'create' })}
+        >
+          <Ionicons name="add" size={16} color={theme.colors.text} />
+        </TouchableOpacity>
+      </ScrollView>
+
+      {loading ? (
+        <Loader size="small" style={styles.loader} />
+      ) : visibleItems.length > 0 ? (
+        <View style={styles.postsGrid}>
+          <FlatList
+            data={visibleItems}
+            renderItem={renderItem}
+            keyExtractor={(item) => item.postId}
+            numColumns={3}
+            scrollEnabled={false}
+          />
+        </View>
+      ) : (
+        <View style={styles.empty}>
+          <Ionicons name="bookmark-outline" size={48} color={theme.colors.textSecondary} />
+          <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+            {activeCollection ? 'Nothing in this collection yet' : 'No saved posts'}
+          </Text>
+        </View>
+      )}
+
+      <TextPromptModal
+        visible={!!prompt}
+        title={prompt?.mode === 'rename' ? 'Rename collection' : 'New collection'}
+        placeholder="Collection name"
+        initialValue={prompt?.mode === 'rename' ? prompt.name : ''}
+        submitLabel={prompt?.mode === 'rename' ? 'Rename' : 'Create'}
+        onSubmit={handlePromptSubmit}
+        onCancel={() => setPrompt(null)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chips: {
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  loader: {
+    padding: 32,
+  },
+  postsGrid: {
+    padding: 16,
+  },
+  postItem: {
+    width: ITEM_SIZE,
+    height: ITEM_SIZE,
+    margin: 2,
+    position: 'relative',
+  },
+  postImage: {
+    width: '100%',
+    height: '100%',
+    borderRadius: 4,
+  },
+  unavailable: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 4,
+    padding: 8,
+  },
+  unavailableText: {
+    fontSize: 11,
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  videoIndicator: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 12,
+    width: 24,
+    height: 24,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  empty: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 16,
+    marginTop: 12,
+  },
+});
+
+export default SavedPostsTab;
@@ -0,0 +1,330 @@
+/**
+ * Scheduled Posts Screen
+ * The user's posts waiting to be published, with edit and cancel
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Image } from 'expo-image';
+import { Ionicons } from '@expo/vector-icons';
+import { useIsFocused } from '@react-navigation/native';
+import { format } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import Loader from '../components/Loader';
+import PublishTimePicker from '../components/PublishTimePicker';
+import { getCoverImageURL, getCoverBlurhash } from '../utils/postMedia';
+import {
+  fetchScheduledPosts,
+  updateScheduledPost,
+  isValidPublishTime,
+  deletePost,
+} from '../utils/postActions';
+
+const THUMBNAIL_SIZE = 64;
+
+const ScheduledPostsScreen = ({ navigation }) => {
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Post being edited, with the unsaved caption and time
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const isFocused = useIsFocused();
+
+  useEffect(() => {
+    if (isFocused) {
+      loadPosts();
+    }
+  }, [isFocused]);
+
+  const loadPosts = async () => {
+    try {
+      setPosts(await fetchScheduledPosts(user.uid));
+    } catch (error) {
+      console.error('Error loading scheduled posts:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = (post) => {
+    setEditing({
+      post,
+      caption: post.caption || '',
+      publishAt: post.publishAt.toDate(),
+    });
+  };
+
+  const saveEdit = async () => {
+    if (!isValidPublishTime(editing.publishAt)) {
+      Alert.alert('Pick a later time', 'Scheduled posts need to be at least 5 minutes from now.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await updateScheduledPost(editing.post.id, {
+        caption: editing.caption,
+        publishAt: editing.publishAt,
+      });
+      setEditing(null);
+      await loadPosts();
+    } catch (error) {
+      // Fails once the post has been published in the meantime
+      console.error('Error updating scheduled post:', error);
+      Alert.alert('Error', 'Failed to update the post. It may already be published.');
+      setEditing(null);
+      await loadPosts();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confirmCancel = (post) => {
+    Alert.alert(
+      'Cancel Post',
+      'This scheduled post and its media will be deleted.',
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deletePost(post.id);
+              setPosts(prev => prev.filter(item => item.id !== post.id));
+            } catch (error) {
+              console.error('Error canceling scheduled post:', error);
+              Alert.alert('Error', 'Failed to cancel the post. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderPost = ({ item }) => (
+    <View style={styles.postItem}>
+      <Image
+        source={{ uri: getCoverImageURL(item, THUMBNAIL_SIZE) }}
+        placeholder={getCoverBlurhash(item) ? { blurhash: getCoverBlurhash(item) } : undefined}
+        style={[styles.thumbnail, { backgroundColor: theme.colors.surface }]}
+        contentFit="cover"
+      />
+
+      <View style={styles.postInfo}>
+        <Text style={[styles.publishTime, { color: theme.colors.text }]}>
+          {format(item.publishAt.toDate(), 'EEE, MMM d \'at\' h:mm a')}
+        </Text>
+        <Text
+          style={[styles.caption, { color: theme.colors.textSecondary }]}
+          numberOfLines={2}
+        >
+          {item.caption || 'No caption'}
+        </Text>
+      </View>
+
+      <TouchableOpacity style={styles.actionButton} onPress={() => startEditing(item)}>
+        <Ionicons name="create-outline" size={20} color={theme.colors.text} />
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.actionButton} onPress={() => confirmCancel(item)}>
+        <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="calendar-outline" size={64} color={theme.colors.textSecondary} />
+      <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+        No scheduled posts
+      </Text>
+      <TouchableOpacity onPress={() => navigation.navigate('MainTabs', { screen: 'Create' })}>
+        <Text style={[styles.emptyAction, { color: theme.colors.primary }]}>
+          Create a post
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderEditModal = () => (
+    <Modal
+      visible={!!editing}
+      transparent
+      animationType="fade"
+      onRequestClose={() => setEditing(null)}
+    >
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        {editing && (
+          <View style={[styles.dialog, { backgroundColor: theme.colors.background }]}>
+            <Text style={[styles.dialogTitle, { color: theme.colors.text }]}>
+              Edit Scheduled Post
+            </Text>
+
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  backgroundColor: theme.colors.surface,
+                  color: theme.colors.text,
+                  borderColor: theme.colors.border,
+                }
+              ]}
+              placeholder="Write a caption..."
+              placeholderTextColor={theme.colors.textSecondary}
+              value={editing.caption}
+              onChangeText={caption => setEditing(prev => ({ ...prev, caption }))}
+              maxLength={500}
+              multiline
+            />
+
+            <PublishTimePicker
+              value={editing.publishAt}
+              onChange={publishAt => setEditing(prev => ({ ...prev, publishAt }))}
+            />
+
+            <View style={styles.buttons}>
+              <TouchableOpacity style={styles.button} onPress={() => setEditing(null)}>
+                <Text style={[styles.buttonText, { color: theme.colors.textSecondary }]}>
+                  Cancel
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.button} onPress={saveEdit} disabled={saving}>
+                <Text style={[styles.buttonText, { color: theme.colors.primary }]}>
+                  Save
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <FlatList
+        data={posts}
+        renderItem={renderPost}
+        keyExtractor={(item) => item.id}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={posts.length === 0 ? styles.emptyList : null}
+      />
+      {renderEditModal()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  emptyList: {
+    flex: 1,
+  },
+  postItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  thumbnail: {
+    width: THUMBNAIL_SIZE,
+    height: THUMBNAIL_SIZE,
+    borderRadius: 8,
+  },
+  postInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  publishTime: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  caption: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  actionButton: {
+    padding: 8,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 16,
+    marginTop: 16,
+  },
+  emptyAction: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 12,
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 32,
+  },
+  dialog: {
+    width: '100%',
+    borderRadius: 16,
+    padding: 20,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    minHeight: 100,
+    textAlignVertical: 'top',
+    marginBottom: 16,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+    gap: 8,
+  },
+  button: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ScheduledPostsScreen;
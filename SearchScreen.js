@@ -121,6 +121,7 @@ const SearchScreen = ({ navigation }) => {
     >
       <Avatar
         uri={item.avatar}
+        variants={item.avatarVariants}
         size={50}
         name={item.displayName || item.username}
       />
@@ -16,6 +16,9 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import TextPromptModal from '../components/TextPromptModal';
+import { MENTION_SETTINGS } from '../utils/mentions';
+import { parseMutedKeywords } from '../utils/comments';
 
 const SettingsScreen = ({ navigation }) => {
   const { userProfile, logout, updateProfile } = useAuth();
@@ -27,6 +30,13 @@ const SettingsScreen = ({ navigation }) => {
   const [notificationsEnabled, setNotificationsEnabled] = useState(
     userProfile?.settings?.notifications !== false
   );
+  const [mentionSetting, setMentionSetting] = useState(
+    userProfile?.settings?.mentions || 'everyone'
+  );
+  const [mutedKeywords, setMutedKeywords] = useState(
+    userProfile?.settings?.mutedKeywords || []
+  );
+  const [editingKeywords, setEditingKeywords] = useState(false);
 
   const handleTwoFactorToggle = async (value) => {
     try {
@@ -58,6 +68,56 @@ const SettingsScreen = ({ navigation }) => {
     }
   };
 
+  const updateMentionSetting = async (value) => {
+    const previous = mentionSetting;
+    try {
+      setMentionSetting(value);
+      await updateProfile({
+        settings: {
+          ...userProfile?.settings,
+          mentions: value
+        }
+      });
+    } catch (error) {
+      console.error('Error updating mentions setting:', error);
+      setMentionSetting(previous); // Revert on error
+    }
+  };
+
+  const handleMentionsPress = () => {
+    Alert.alert(
+      'Mentions',
+      'Who can @mention you?',
+      [
+        ...MENTION_SETTINGS.map(option => ({
+          text: option.label,
+          onPress: () => updateMentionSetting(option.key)
+        })),
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+
+  // Comments on the user's posts containing these are hidden from
+  // everyone but their author
+  const updateMutedKeywords = async (text) => {
+    setEditingKeywords(false);
+    const previous = mutedKeywords;
+    const value = parseMutedKeywords(text);
+    try {
+      setMutedKeywords(value);
+      await updateProfile({
+        settings: {
+          ...userProfile?.settings,
+          mutedKeywords: value
+        }
+      });
+    } catch (error) {
+      console.error('Error updating muted keywords:', error);
+      setMutedKeywords(previous); // Revert on error
+    }
+  };
+
   const handleDeleteAccount = () => {
     Alert.alert(
       'Delete Account',
@@ -192,6 +252,24 @@ const SettingsScreen = ({ navigation }) => {
           }
           showArrow={false}
         />
+        
+        <SettingItem
+          icon="at-outline"
+          title="Mentions"
+          subtitle={`Allow mentions from: ${
+            MENTION_SETTINGS.find(option => option.key === mentionSetting)?.label
+          }`}
+          onPress={handleMentionsPress}
+        />
+        
+        <SettingItem
+          icon="eye-off-outline"
+          title="Hidden Words"
+          subtitle={mutedKeywords.length > 0
+            ? `${mutedKeywords.length} muted ${mutedKeywords.length === 1 ? 'word' : 'words'} in comments on your posts`
+            : 'Hide comments on your posts that contain certain words'}
+          onPress={() => setEditingKeywords(true)}
+        />
       </View>
 
       {/* Support Section */}
@@ -245,6 +323,20 @@ const SettingsScreen = ({ navigation }) => {
           RiseUp v1.0.0
         </Text>
       </View>
+
+      {editingKeywords && (
+        <TextPromptModal
+          visible={editingKeywords}
+          title="Hidden words"
+          placeholder="Words or phrases, separated by commas"
+          initialValue={mutedKeywords.join(', ')}
+          maxLength={2000}
+          multiline
+          allowEmpty
+          onSubmit={updateMutedKeywords}
+          onCancel={() => setEditingKeywords(false)}
+        />
+      )}
     </ScrollView>
   );
 };
@@ -0,0 +1,302 @@
+/**
+ * Share Post Sheet Component
+ * Sends a post into a direct message, picked from recent chats or user search
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  FlatList,
+} from 'react-native';
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  limit,
+  getDocs
+} from 'firebase/firestore';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import { db } from '../firebase';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { attachUsers } from '../utils/userResolver';
+import { getOrCreateChat, sendChatMessage } from '../utils/chatService';
+import Avatar from './Avatar';
+import Loader from './Loader';
+
+const RECENT_CHATS_LIMIT = 20;
+
+const SharePostSheet = ({ visible, postId, onClose }) => {
+  const [recipients, setRecipients] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(new Set());
+  const [sent, setSent] = useState(new Set());
+
+  const { user, userProfile } = useAuth();
+  const { theme } = useTheme();
+
+  useEffect(() => {
+    if (visible) {
+      setSearchQuery('');
+      setSent(new Set());
+      loadRecentChats();
+    }
+  }, [visible]);
+
+  useEffect(() => {
+    const term = searchQuery.trim().toLowerCase();
+    if (!term) {
+      setSearchResults([]);
+      return;
+    }
+
+    const timeout = setTimeout(() => searchUsers(term), 300);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);
+
+  const loadRecentChats = async () => {
+    setLoading(true);
+    try {
+      const chatsQuery = query(
+        collection(db, 'chats'),
+        where('participants', 'array-contains', user.uid),
+        orderBy('lastMessageAt', 'desc'),
+        limit(RECENT_CHATS_LIMIT)
+      );
+
+      const snapshot = await getDocs(chatsQuery);
+      const chats = snapshot.docs
+        .map(docSnap => ({
+          uid: docSnap.data().participants.find(id => id !== user.uid),
+          chatId: docSnap.id
+        }))
+        .filter(chat => chat.uid);
+
+      setRecipients(await attachUsers(chats, 'uid', 'profile'));
+    } catch (error) {
+      console.error('Error loading recent chats:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const searchUsers = async (term) => {
+    try {
+      const usersQuery = query(
+        collection(db, 'users'),
+        where('username', '>=', term),
+        where('username', '<=', term + '\uf8ff'),
+        limit(10)
+      );
+
+      const snapshot = await getDocs(usersQuery);
+      setSearchResults(snapshot.docs
+        .filter(docSnap => docSnap.id !== user.uid)
+        .map(docSnap => ({ uid: docSnap.id, profile: docSnap.data() })));
+    } catch (error) {
+      console.error('Error searching users:', error);
+    }
+  };
+
+  const sharePost = async (recipient) => {
+    if (sending.has(recipient.uid) || sent.has(recipient.uid)) return;
+
+    setSending(prev => new Set(prev).add(recipient.uid));
+    try {
+      const chatId = recipient.chatId || await getOrCreateChat(user.uid, recipient.uid);
+
+      await sendChatMessage(
+        chatId,
+        { uid: user.uid, profile: userProfile },
+        { type: 'post', postId },
+        'Shared a post'
+      );
+
+      setSent(prev => new Set(prev).add(recipient.uid));
+    } catch (error) {
+      console.error('Error sharing post:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Share Failed',
+        text2: 'Could not send the post. Please try again.'
+      });
+    } finally {
+      setSending(prev => {
+        const next = new Set(prev);
+        next.delete(recipient.uid);
+        return next;
+      });
+    }
+  };
+
+  const renderRecipient = ({ item }) => {
+    const isSent = sent.has(item.uid);
+
+    return (
+      <View style={styles.row}>
+        <Avatar
+          uri={item.profile?.avatar}
+          variants={item.profile?.avatarVariants}
+          size={44}
+          name={item.profile?.displayName || item.profile?.username}
+        />
+        <View style={styles.rowInfo}>
+          <Text style={[styles.displayName, { color: theme.colors.text }]} numberOfLines={1}>
+            {item.profile?.displayName || item.profile?.username || 'Unknown User'}
+          </Text>
+          {!!item.profile?.username && (
+            <Text style={[styles.username, { color: theme.colors.textSecondary }]}>
+              @{item.profile.username}
+            </Text>
+          )}
+        </View>
+        <TouchableOpacity
+          style={[
+            styles.sendButton,
+            { backgroundColor: isSent ? theme.colors.surface : theme.colors.primary }
+          ]}
+          onPress={() => sharePost(item)}
+          disabled={isSent || sending.has(item.uid)}
+        >
+          <Text style={[styles.sendText, { color: isSent ? theme.colors.text : theme.colors.background }]}>
+            {isSent ? 'Sent' : 'Send'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const displayRecipients = searchQuery.trim() ? searchResults : recipients;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+
+      <View style={[styles.sheet, { backgroundColor: theme.colors.background }]}>
+        <View style={[styles.handle, { backgroundColor: theme.colors.border }]} />
+
+        <View style={[styles.searchContainer, { backgroundColor: theme.colors.surface }]}>
+          <Ionicons name="search-outline" size={18} color={theme.colors.textSecondary} />
+          <TextInput
+            style={[styles.searchInput, { color: theme.colors.text }]}
+            placeholder="Search"
+            placeholderTextColor={theme.colors.textSecondary}
+            value={searchQuery}
+            onChangeText={setSearchQuery}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+        </View>
+
+        {!searchQuery.trim() && (
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+            Recent
+          </Text>
+        )}
+
+        {loading ? (
+          <Loader size="small" style={styles.loader} />
+        ) : (
+          <FlatList
+            data={displayRecipients}
+            renderItem={renderRecipient}
+            keyExtractor={(item) => item.uid}
+            keyboardShouldPersistTaps="handled"
+            ListEmptyComponent={
+              <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+                {searchQuery.trim() ? 'No users found' : 'No conversations yet. Search for someone.'}
+              </Text>
+            }
+          />
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    height: '65%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: 16,
+  },
+  handle: {
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginVertical: 8,
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 12,
+    marginVertical: 8,
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginVertical: 8,
+  },
+  loader: {
+    padding: 32,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  rowInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  displayName: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  username: {
+    fontSize: 13,
+  },
+  sendButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  sendText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    padding: 24,
+  },
+});
+
+export default SharePostSheet;
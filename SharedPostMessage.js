@@ -0,0 +1,167 @@
+/**
+ * Shared Post Message Component
+ * Preview card for a post shared into a chat
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { Image } from 'expo-image';
+import { doc, getDoc } from 'firebase/firestore';
+import { Ionicons } from '@expo/vector-icons';
+import { db } from '../firebase';
+import { useTheme } from '../context/ThemeContext';
+import { getUser } from '../utils/userResolver';
+import { getCoverImageURL, getCoverBlurhash, getCoverMedia } from '../utils/postMedia';
+import Avatar from './Avatar';
+
+const PREVIEW_WIDTH = 220;
+
+const SharedPostMessage = ({ postId, onPress }) => {
+  // undefined while loading, null once we know the post is gone
+  const [post, setPost] = useState(undefined);
+  const [author, setAuthor] = useState(null);
+
+  const { theme } = useTheme();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPost = async () => {
+      try {
+        const postDoc = await getDoc(doc(db, 'posts', postId));
+        if (cancelled) return;
+
+        if (!postDoc.exists()) {
+          setPost(null);
+          return;
+        }
+
+        const postData = { id: postDoc.id, ...postDoc.data() };
+        setPost(postData);
+
+        const profile = await getUser(postData.userId);
+        if (!cancelled) setAuthor(profile);
+      } catch (error) {
+        console.error('Error loading shared post:', error);
+        if (!cancelled) setPost(null);
+      }
+    };
+
+    loadPost();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [postId]);
+
+  if (post === null) {
+    return (
+      <View style={[styles.card, styles.unavailable, { backgroundColor: theme.colors.background }]}>
+        <Ionicons name="eye-off-outline" size={20} color={theme.colors.textSecondary} />
+        <Text style={[styles.unavailableText, { color: theme.colors.textSecondary }]}>
+          This post is no longer available
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <TouchableOpacity
+      style={[styles.card, { backgroundColor: theme.colors.background }]}
+      onPress={onPress}
+      disabled={!post}
+      activeOpacity={0.8}
+    >
+      <View style={styles.header}>
+        <Avatar
+          uri={author?.avatar}
+          variants={author?.avatarVariants}
+          size={24}
+          name={author?.displayName || author?.username}
+        />
+        <Text style={[styles.username, { color: theme.colors.text }]} numberOfLines={1}>
+          {author?.username || ''}
+        </Text>
+      </View>
+
+      {post ? (
+        <Image
+          source={{ uri: getCoverImageURL(post, PREVIEW_WIDTH) }}
+          placeholder={getCoverBlurhash(post) ? { blurhash: getCoverBlurhash(post) } : undefined}
+          style={styles.media}
+          contentFit="cover"
+        />
+      ) : (
+        <View style={[styles.media, { backgroundColor: theme.colors.surface }]} />
+      )}
+
+      {getCoverMedia(post)?.type === 'video' && (
+        <View style={styles.videoIndicator}>
+          <Ionicons name="play" size={14} color="white" />
+        </View>
+      )}
+
+      {!!post?.caption && (
+        <Text style={[styles.caption, { color: theme.colors.text }]} numberOfLines={2}>
+          {post.caption}
+        </Text>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    width: PREVIEW_WIDTH,
+    borderRadius: 12,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    gap: 8,
+  },
+  username: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  media: {
+    width: PREVIEW_WIDTH,
+    height: PREVIEW_WIDTH,
+  },
+  videoIndicator: {
+    position: 'absolute',
+    top: 48,
+    right: 8,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 11,
+    width: 22,
+    height: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  caption: {
+    fontSize: 13,
+    padding: 8,
+  },
+  unavailable: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    gap: 8,
+  },
+  unavailableText: {
+    flex: 1,
+    fontSize: 13,
+    fontStyle: 'italic',
+  },
+});
+
+export default SharedPostMessage;
@@ -0,0 +1,147 @@
+/**
+ * Text Prompt Modal Component
+ * Small modal asking for a single line of text, e.g. a collection name
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+
+const TextPromptModal = ({
+  visible,
+  title,
+  placeholder,
+  initialValue = '',
+  submitLabel = 'Save',
+  maxLength = 50,
+  multiline = false,
+  allowEmpty = false,
+  onSubmit,
+  onCancel,
+}) => {
+  const [value, setValue] = useState(initialValue);
+  const { theme } = useTheme();
+
+  useEffect(() => {
+    if (visible) {
+      setValue(initialValue);
+    }
+  }, [visible, initialValue]);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={[styles.dialog, { backgroundColor: theme.colors.background }]}>
+          <Text style={[styles.title, { color: theme.colors.text }]}>
+            {title}
+          </Text>
+
+          <TextInput
+            style={[
+              styles.input,
+              multiline && styles.multilineInput,
+              {
+                backgroundColor: theme.colors.surface,
+                color: theme.colors.text,
+                borderColor: theme.colors.border,
+              }
+            ]}
+            placeholder={placeholder}
+            placeholderTextColor={theme.colors.textSecondary}
+            value={value}
+            onChangeText={setValue}
+            maxLength={maxLength}
+            multiline={multiline}
+            autoFocus
+          />
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.button} onPress={onCancel}>
+              <Text style={[styles.buttonText, { color: theme.colors.textSecondary }]}>
+                Cancel
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.button}
+              onPress={() => onSubmit(value.trim())}
+              disabled={!allowEmpty && !value.trim()}
+            >
+              <Text
+                style={[
+                  styles.buttonText,
+                  { color: allowEmpty || value.trim() ? theme.colors.primary : theme.colors.border }
+                ]}
+              >
+                {submitLabel}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 32,
+  },
+  dialog: {
+    width: '100%',
+    borderRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  multilineInput: {
+    minHeight: 100,
+    textAlignVertical: 'top',
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+    gap: 8,
+  },
+  button: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default TextPromptModal;
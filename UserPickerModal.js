@@ -0,0 +1,199 @@
+/**
+ * User Picker Modal Component
+ * Search for an account by username, e.g. to tag someone in a photo.
+ * Like mention suggestions, it skips people whose mention setting
+ * doesn't allow the current user.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import Avatar from './Avatar';
+import { searchMentionCandidates } from '../utils/mentions';
+
+const SEARCH_DELAY_MS = 200;
+
+/**
+ * @param {Array} excludeIds - accounts that can't be picked again
+ */
+const UserPickerModal = ({ visible, title, excludeIds = [], onSelect, onCancel }) => {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [results, setResults] = useState([]);
+
+  const { user } = useAuth();
+  const { theme } = useTheme();
+
+  useEffect(() => {
+    if (visible) {
+      setSearchQuery('');
+    }
+  }, [visible]);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    let canceled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const candidates = await searchMentionCandidates(user.uid, searchQuery.trim().toLowerCase());
+        if (!canceled) setResults(candidates);
+      } catch (error) {
+        console.error('Error searching users:', error);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      canceled = true;
+      clearTimeout(timer);
+    };
+  }, [visible, searchQuery]);
+
+  const renderResult = ({ item }) => (
+    <TouchableOpacity style={styles.result} onPress={() => onSelect(item)}>
+      <Avatar
+        uri={item.avatar}
+        variants={item.avatarVariants}
+        size={36}
+        name={item.displayName || item.username}
+      />
+      <View style={styles.resultInfo}>
+        <Text style={[styles.username, { color: theme.colors.text }]}>
+          {item.username}
+        </Text>
+        {!!item.displayName && (
+          <Text style={[styles.displayName, { color: theme.colors.textSecondary }]}>
+            {item.displayName}
+          </Text>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={[styles.dialog, { backgroundColor: theme.colors.background }]}>
+          <Text style={[styles.title, { color: theme.colors.text }]}>
+            {title}
+          </Text>
+
+          <TextInput
+            style={[
+              styles.input,
+              {
+                backgroundColor: theme.colors.surface,
+                color: theme.colors.text,
+                borderColor: theme.colors.border,
+              }
+            ]}
+            placeholder="Search username"
+            placeholderTextColor={theme.colors.textSecondary}
+            value={searchQuery}
+            onChangeText={setSearchQuery}
+            autoCapitalize="none"
+            autoCorrect={false}
+            autoFocus
+          />
+
+          <FlatList
+            data={results.filter(result => !excludeIds.includes(result.id))}
+            renderItem={renderResult}
+            keyExtractor={(item) => item.id}
+            keyboardShouldPersistTaps="always"
+            style={styles.results}
+          />
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.button} onPress={onCancel}>
+              <Text style={[styles.buttonText, { color: theme.colors.textSecondary }]}>
+                Cancel
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 32,
+  },
+  dialog: {
+    width: '100%',
+    borderRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  results: {
+    maxHeight: 280,
+    marginTop: 8,
+  },
+  result: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  resultInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  username: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  displayName: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  button: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default UserPickerModal;
@@ -0,0 +1,56 @@
+/**
+ * Video Context Provider
+ * Decides which single video may play and whether videos are muted
+ */
+
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const VideoContext = createContext(null);
+
+const MUTED_KEY = 'videoMuted';
+
+export const useVideo = () => {
+  const context = useContext(VideoContext);
+  if (!context) {
+    throw new Error('useVideo must be used within a VideoProvider');
+  }
+  return context;
+};
+
+export const VideoProvider = ({ children }) => {
+  // Feeds start muted, like most social apps
+  const [muted, setMuted] = useState(true);
+  // Id of the post whose video is allowed to play; null pauses everything
+  const [activeVideoId, setActiveVideoId] = useState(null);
+
+  useEffect(() => {
+    AsyncStorage.getItem(MUTED_KEY)
+      .then(saved => {
+        if (saved !== null) setMuted(saved === 'true');
+      })
+      .catch(error => console.error('Error loading mute setting:', error));
+  }, []);
+
+  const toggleMuted = () => {
+    setMuted(prev => {
+      const next = !prev;
+      AsyncStorage.setItem(MUTED_KEY, String(next))
+        .catch(error => console.error('Error saving mute setting:', error));
+      return next;
+    });
+  };
+
+  const value = {
+    muted,
+    toggleMuted,
+    activeVideoId,
+    setActiveVideoId
+  };
+
+  return (
+    <VideoContext.Provider value={value}>
+      {children}
+    </VideoContext.Provider>
+  );
+};
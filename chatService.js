@@ -0,0 +1,63 @@
+/**
+ * Chat Service
+ * Shared helpers for finding 1-to-1 chats and sending messages
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  addDoc,
+  updateDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+// 1-to-1 chats use the sorted participant ids as their document id
+export const getChatId = (uid, otherUid) => [uid, otherUid].sort().join('_');
+
+export const getOrCreateChat = async (uid, otherUid) => {
+  const chatId = getChatId(uid, otherUid);
+  const chatDoc = await getDoc(doc(db, 'chats', chatId));
+
+  if (!chatDoc.exists()) {
+    await setDoc(doc(db, 'chats', chatId), {
+      participants: [uid, otherUid],
+      createdAt: new Date(),
+      lastMessage: '',
+      lastMessageAt: new Date(),
+      unreadCount: 0
+    });
+  }
+
+  return chatId;
+};
+
+/**
+ * Adds a message to a chat and updates the chat's last message preview
+ * @param {string} chatId
+ * @param {object} sender - { uid, profile } of the current user
+ * @param {object} content - message fields, e.g. { text } or { type: 'post', postId }
+ * @param {string} preview - text shown in the chat list
+ */
+export const sendChatMessage = async (chatId, sender, content, preview) => {
+  const messageData = {
+    text: '',
+    type: 'text',
+    ...content,
+    senderId: sender.uid,
+    senderName: sender.profile?.displayName || sender.profile?.username,
+    senderAvatar: sender.profile?.avatar || '',
+    createdAt: serverTimestamp(),
+    seen: false
+  };
+
+  await addDoc(collection(db, 'chats', chatId, 'messages'), messageData);
+
+  await updateDoc(doc(db, 'chats', chatId), {
+    lastMessage: preview,
+    lastMessageAt: serverTimestamp(),
+    lastMessageSender: sender.uid
+  });
+};
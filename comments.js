@@ -0,0 +1,341 @@
+/**
+ * Comments
+ * Writing comments and one level of replies. Top-level comments have
+ * parentId null; replies point at the top-level comment they belong to,
+ * which keeps a replyCount maintained by a Cloud Function. Comment likes
+ * live in comments/{commentId}/likes/{uid} and are counted the same way,
+ * as is the post's commentCount.
+ *
+ * Posts choose who can comment with commentSetting. Comments containing
+ * one of the post owner's muted keywords are flagged hidden by a Cloud
+ * Function. The rules only let their author read them, so every query
+ * asks for hidden == false and authors load their own separately.
+ */
+
+import {
+  collection,
+  collectionGroup,
+  doc,
+  documentId,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { attachUsers } from './userResolver';
+import { resolveMentions } from './mentions';
+import { recencyScore, toMillis } from './feedRanking';
+import { chunk, IN_QUERY_LIMIT } from './feedService';
+
+export const COMMENTS_PAGE_SIZE = 20;
+export const REPLIES_PAGE_SIZE = 5;
+export const MAX_PINNED_COMMENTS = 3;
+
+export const COMMENT_SORTS = {
+  top: 'Top',
+  newest: 'Newest',
+};
+
+// Who can comment on a post
+export const COMMENT_SETTINGS = [
+  { key: 'everyone', label: 'Everyone' },
+  { key: 'followers', label: 'Followers' },
+  { key: 'off', label: 'Off' },
+];
+
+export const MAX_MUTED_KEYWORDS = 100;
+
+const HOUR = 60 * 60 * 1000;
+const TOP_RECENCY_HALF_LIFE_HOURS = 6;
+
+const commentsRef = (postId) => collection(db, 'posts', postId, 'comments');
+
+export const getCommentSetting = (post) => post?.commentSetting || 'everyone';
+
+/**
+ * Whether a user may comment on a post. Turning comments off applies to
+ * the owner too.
+ * @param {boolean} followsAuthor - whether the user follows the post's author
+ */
+export const canComment = (post, uid, followsAuthor) => {
+  const setting = getCommentSetting(post);
+  if (setting === 'off') return false;
+  if (setting === 'followers') return uid === post.userId || followsAuthor;
+  return true;
+};
+
+export const isCommentVisibleTo = (comment, uid) =>
+  !comment.hidden || comment.userId === uid;
+
+/**
+ * Muted keywords from comma or newline separated text, lowercased and
+ * without duplicates
+ */
+export const parseMutedKeywords = (text) => [
+  ...new Set((text || '')
+    .split(/[,\n]/)
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean))
+].slice(0, MAX_MUTED_KEYWORDS);
+
+/**
+ * The newest page of top-level comments, meant to be listened to
+ */
+export const latestCommentsQuery = (postId) => query(
+  commentsRef(postId),
+  where('parentId', '==', null),
+  where('hidden', '==', false),
+  orderBy('createdAt', 'desc'),
+  limit(COMMENTS_PAGE_SIZE)
+);
+
+/**
+ * The page of top-level comments written before afterDoc, newest first
+ * @returns {Promise<object>} { comments, lastDoc, hasMore }
+ */
+export const fetchOlderComments = async (postId, afterDoc) => {
+  const snapshot = await getDocs(query(
+    commentsRef(postId),
+    where('parentId', '==', null),
+    where('hidden', '==', false),
+    orderBy('createdAt', 'desc'),
+    startAfter(afterDoc),
+    limit(COMMENTS_PAGE_SIZE)
+  ));
+  const comments = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+  return {
+    comments: await attachUsers(comments),
+    lastDoc: snapshot.docs[snapshot.docs.length - 1] || afterDoc,
+    hasMore: snapshot.docs.length === COMMENTS_PAGE_SIZE,
+  };
+};
+
+/**
+ * One page of the most liked top-level comments. Top sorts these together
+ * with the live newest page, so well liked comments show however old they are.
+ * @param {object} afterDoc - last snapshot of the previous page
+ * @returns {Promise<object>} { comments, lastDoc, hasMore }
+ */
+export const fetchTopComments = async (postId, afterDoc = null) => {
+  const constraints = [
+    where('parentId', '==', null),
+    where('hidden', '==', false),
+    orderBy('likeCount', 'desc'),
+    orderBy('createdAt', 'desc'),
+    limit(COMMENTS_PAGE_SIZE)
+  ];
+  if (afterDoc) {
+    constraints.push(startAfter(afterDoc));
+  }
+
+  const snapshot = await getDocs(query(commentsRef(postId), ...constraints));
+  const comments = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+  return {
+    comments: await attachUsers(comments),
+    lastDoc: snapshot.docs[snapshot.docs.length - 1] || afterDoc,
+    hasMore: snapshot.docs.length === COMMENTS_PAGE_SIZE,
+  };
+};
+
+/**
+ * Specific comments, e.g. pinned ones that aren't on a loaded page.
+ * Comments that no longer exist are left out.
+ */
+export const fetchCommentsByIds = async (postId, commentIds) => {
+  // Hidden comments of other users can't be read, so they are left out too
+  const snapshots = await Promise.all(
+    commentIds.map(id => getDoc(doc(commentsRef(postId), id)).catch(() => null))
+  );
+  const comments = snapshots
+    .filter(docSnap => docSnap?.exists())
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+  return attachUsers(comments);
+};
+
+/**
+ * The user's own comments and replies on a post that were hidden by the
+ * owner's muted keywords, which only they can see
+ */
+export const fetchOwnHiddenComments = async (postId, uid) => {
+  const snapshot = await getDocs(query(
+    commentsRef(postId),
+    where('userId', '==', uid),
+    where('hidden', '==', true)
+  ));
+  const comments = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+  return attachUsers(comments);
+};
+
+/**
+ * One page of replies to a top-level comment, oldest first
+ * @param {object} afterDoc - last snapshot of the previous page
+ * @returns {Promise<object>} { replies, lastDoc, hasMore }
+ */
+export const fetchReplies = async (postId, parentId, afterDoc = null) => {
+  const constraints = [
+    where('parentId', '==', parentId),
+    where('hidden', '==', false),
+    orderBy('createdAt', 'asc'),
+    limit(REPLIES_PAGE_SIZE)
+  ];
+  if (afterDoc) {
+    constraints.push(startAfter(afterDoc));
+  }
+
+  const snapshot = await getDocs(query(commentsRef(postId), ...constraints));
+  const replies = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+  return {
+    replies: await attachUsers(replies),
+    lastDoc: snapshot.docs[snapshot.docs.length - 1] || afterDoc,
+    hasMore: snapshot.docs.length === REPLIES_PAGE_SIZE,
+  };
+};
+
+/**
+ * A new comment, or a reply when parentId is set, with its final id so
+ * it can be shown before addComment writes it. createdAt is only the local
+ * time to show it with; the server time is written.
+ */
+export const createComment = (postId, { userId, text, parentId = null }) => ({
+  id: doc(commentsRef(postId)).id,
+  userId,
+  text: text.trim(),
+  mentions: [],
+  parentId,
+  replyCount: 0,
+  likeCount: 0,
+  hidden: false,
+  createdAt: new Date(),
+});
+
+/**
+ * Writes a comment made by createComment
+ * @returns {Promise<object>} the written comment, mentions resolved
+ */
+export const addComment = async (postId, comment) => {
+  const { id, ...commentData } = comment;
+  commentData.mentions = await resolveMentions(comment.text);
+
+  await setDoc(doc(commentsRef(postId), id), {
+    ...commentData,
+    createdAt: serverTimestamp()
+  });
+  return { id, ...commentData };
+};
+
+/**
+ * Changes the text of the author's own comment
+ * @returns {Promise<object>} the updated fields, with the local time as editedAt
+ */
+export const editComment = async (postId, commentId, text) => {
+  const changes = {
+    text: text.trim(),
+    mentions: await resolveMentions(text),
+  };
+
+  await updateDoc(doc(db, 'posts', postId, 'comments', commentId), {
+    ...changes,
+    editedAt: serverTimestamp()
+  });
+  return { ...changes, editedAt: new Date() };
+};
+
+/**
+ * A top-level comment with replies becomes a "comment deleted"
+ * placeholder so the replies keep their context; anything else is removed.
+ * The placeholder goes away with its last reply.
+ * @returns {Promise<object|null>} the placeholder's changed fields, or null if removed
+ */
+export const deleteComment = async (postId, comment) => {
+  const commentRef = doc(db, 'posts', postId, 'comments', comment.id);
+
+  if (!comment.parentId && comment.replyCount > 0) {
+    const changes = {
+      deleted: true,
+      text: '',
+      mentions: [],
+    };
+    await updateDoc(commentRef, changes);
+    return changes;
+  }
+
+  await deleteDoc(commentRef);
+  return null;
+};
+
+const commentLikeRef = (postId, commentId, uid) =>
+  doc(db, 'posts', postId, 'comments', commentId, 'likes', uid);
+
+/**
+ * Which of a page of comments the user has liked, looked up together
+ * @returns {Promise<Set>} ids of the liked comments
+ */
+export const fetchLikedCommentIds = async (postId, commentIds, uid) => {
+  const snapshots = await Promise.all(
+    chunk(commentIds, IN_QUERY_LIMIT).map(ids => getDocs(query(
+      collectionGroup(db, 'likes'),
+      where(documentId(), 'in', ids.map(id => commentLikeRef(postId, id, uid)))
+    )))
+  );
+
+  return new Set(snapshots.flatMap(snapshot =>
+    snapshot.docs.map(likeDoc => likeDoc.ref.parent.parent.id)
+  ));
+};
+
+export const likeComment = (postId, commentId, uid) =>
+  setDoc(commentLikeRef(postId, commentId, uid), {
+    userId: uid,
+    createdAt: serverTimestamp()
+  });
+
+export const unlikeComment = (postId, commentId, uid) =>
+  deleteDoc(commentLikeRef(postId, commentId, uid));
+
+/**
+ * Replaces the post's pinned comments. Only the post owner may do this,
+ * and at most MAX_PINNED_COMMENTS can be pinned.
+ */
+export const setPinnedComments = (postId, commentIds) =>
+  updateDoc(doc(db, 'posts', postId), {
+    pinnedCommentIds: commentIds
+  });
+
+// Likes are log-damped so a fresh comment can still outrank an old favorite
+const topScore = (comment, now) =>
+  Math.log1p(comment.likeCount || 0) +
+  recencyScore((now - toMillis(comment.createdAt)) / HOUR, TOP_RECENCY_HALF_LIFE_HOURS);
+
+/**
+ * Orders top-level comments: pinned ones first in the order they were
+ * pinned, then the rest by the chosen sort. Top blends likes and recency
+ * over what is loaded: the newest page and pages from fetchTopComments.
+ * @param {string} sort - a COMMENT_SORTS key
+ */
+export const sortComments = (comments, sort, pinnedIds = [], now = Date.now()) => {
+  const pinned = pinnedIds
+    .map(id => comments.find(comment => comment.id === id))
+    .filter(comment => comment && !comment.deleted);
+  const rest = comments.filter(comment => !pinned.includes(comment));
+
+  if (sort === 'top') {
+    rest.sort((a, b) => topScore(b, now) - topScore(a, now));
+  } else {
+    rest.sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+  }
+
+  return [...pinned, ...rest];
+};
@@ -0,0 +1,70 @@
+/**
+ * Feed Cache
+ * Persists the first pages of the home feed so they can be shown instantly
+ * on launch and while offline
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CACHE_PREFIX = 'feedCache';
+const CACHED_PAGES = 3;
+const POSTS_PER_PAGE = 10;
+
+const cacheKey = (uid, mode) => `${CACHE_PREFIX}:${uid}:${mode}`;
+
+/**
+ * Firestore Timestamps don't survive JSON, so store them as milliseconds.
+ * Screens already accept either form when formatting times.
+ */
+const toPlain = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (value.toMillis) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  if (Array.isArray(value)) return value.map(toPlain);
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [key, toPlain(entry)])
+  );
+};
+
+/**
+ * Returns { posts, savedAt } or null when nothing is cached
+ */
+export const loadFeedCache = async (uid, mode) => {
+  try {
+    const saved = await AsyncStorage.getItem(cacheKey(uid, mode));
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Error loading feed cache:', error);
+    return null;
+  }
+};
+
+/**
+ * Saves the first pages of posts, including their resolved authors
+ */
+export const saveFeedCache = async (uid, mode, posts) => {
+  const savedAt = Date.now();
+
+  try {
+    await AsyncStorage.setItem(cacheKey(uid, mode), JSON.stringify({
+      posts: toPlain(posts.slice(0, CACHED_PAGES * POSTS_PER_PAGE)),
+      savedAt,
+    }));
+  } catch (error) {
+    console.error('Error saving feed cache:', error);
+  }
+
+  return savedAt;
+};
+
+export const clearFeedCache = async (uid) => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.multiRemove(
+      keys.filter(key => key.startsWith(`${CACHE_PREFIX}:${uid}:`))
+    );
+  } catch (error) {
+    console.error('Error clearing feed cache:', error);
+  }
+};
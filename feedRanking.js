@@ -0,0 +1,114 @@
+/**
+ * Feed Ranking
+ * Scores and orders "For You" candidates. Pure functions only: every input,
+ * including the current time, is passed in so results are reproducible.
+ */
+
+import { getCoverMedia, isMultiMedia } from './postMedia';
+
+// Overridable from the settings/feedRanking document
+export const DEFAULT_RANKING_WEIGHTS = {
+  recency: 1,
+  recencyHalfLifeHours: 24,
+  likeVelocity: 0.6,
+  commentVelocity: 0.9,
+  affinity: 0.8,
+  diversityPenalty: 0.15,
+  diversityWindow: 3,
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// Carousels count as their own kind for diversity
+const mediaKind = (post) => (isMultiMedia(post) ? 'carousel' : getCoverMedia(post)?.type);
+
+export const toMillis = (timestamp) => {
+  if (!timestamp) return 0;
+  if (timestamp.toMillis) return timestamp.toMillis();
+  return new Date(timestamp).getTime();
+};
+
+/**
+ * Applies remote overrides on top of the defaults, ignoring unknown keys
+ * and anything that isn't a finite number
+ */
+export const mergeRankingWeights = (overrides = {}) => {
+  const weights = { ...DEFAULT_RANKING_WEIGHTS };
+
+  Object.keys(DEFAULT_RANKING_WEIGHTS).forEach(key => {
+    const value = overrides?.[key];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      weights[key] = value;
+    }
+  });
+
+  weights.recencyHalfLifeHours = Math.max(weights.recencyHalfLifeHours, 1);
+  weights.diversityWindow = Math.max(Math.round(weights.diversityWindow), 0);
+
+  return weights;
+};
+
+// 1 for a brand new post, halving every `halfLifeHours`
+export const recencyScore = (ageHours, halfLifeHours) =>
+  Math.pow(0.5, Math.max(ageHours, 0) / halfLifeHours);
+
+// Engagement per hour, log-damped so viral posts don't drown out everything else
+export const velocityScore = (count, ageHours) =>
+  Math.log1p(Math.max(count, 0) / Math.max(ageHours, 1));
+
+// 0 for strangers, approaching 1 as interactions with the author add up
+export const affinityScore = (interactions) =>
+  1 - 1 / (1 + Math.max(interactions, 0));
+
+/**
+ * Scores a single post
+ * @param {object} post - post document data with id
+ * @param {object} context - { now: ms timestamp, affinity: { [authorId]: interactionCount } }
+ * @param {object} weights - merged ranking weights
+ */
+export const scorePost = (post, context, weights = DEFAULT_RANKING_WEIGHTS) => {
+  const ageHours = (context.now - toMillis(post.createdAt)) / HOUR;
+  const likeCount = post.likeCount || 0;
+  const commentCount = post.commentCount || 0;
+  const interactions = context.affinity?.[post.userId] || 0;
+
+  return (
+    weights.recency * recencyScore(ageHours, weights.recencyHalfLifeHours) +
+    weights.likeVelocity * velocityScore(likeCount, ageHours) +
+    weights.commentVelocity * velocityScore(commentCount, ageHours) +
+    weights.affinity * affinityScore(interactions)
+  );
+};
+
+/**
+ * Orders posts by score, then re-ranks greedily so the same media type
+ * doesn't repeat too often in a row. Ties break on post id.
+ */
+export const rankPosts = (posts, context, weights = DEFAULT_RANKING_WEIGHTS) => {
+  const remaining = posts
+    .map(post => ({ post, score: scorePost(post, context, weights) }))
+    .sort((a, b) => b.score - a.score || (a.post.id < b.post.id ? -1 : 1));
+
+  const ranked = [];
+  while (remaining.length > 0) {
+    const recentTypes = ranked
+      .slice(Math.max(ranked.length - weights.diversityWindow, 0))
+      .map(mediaKind);
+
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((candidate, index) => {
+      const kind = mediaKind(candidate.post);
+      const repeats = recentTypes.filter(type => type === kind).length;
+      const adjusted = candidate.score - weights.diversityPenalty * repeats;
+      if (adjusted > bestScore) {
+        bestScore = adjusted;
+        bestIndex = index;
+      }
+    });
+
+    ranked.push(remaining.splice(bestIndex, 1)[0].post);
+  }
+
+  return ranked;
+};
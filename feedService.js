@@ -0,0 +1,287 @@
+/**
+ * Feed Service
+ * Builds paginated home timelines by merging several Firestore post queries
+ */
+
+import {
+  collection,
+  collectionGroup,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getDocs,
+  getDoc,
+  doc,
+  documentId,
+  onSnapshot
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { mergeRankingWeights, rankPosts, toMillis } from './feedRanking';
+import { isVisiblePost } from './postStatus';
+
+// Firestore rejects `in` filters with more than 30 values
+export const IN_QUERY_LIMIT = 30;
+
+export const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * One source per group of 30 authors. Each source keeps its own cursor so
+ * the merged timeline can be paged without skipping or repeating posts.
+ */
+export const createAuthorSources = (authorIds) =>
+  chunk(authorIds, IN_QUERY_LIMIT).map(ids => ({
+    path: ['posts'],
+    constraints: [where('userId', 'in', ids)],
+    cursor: null,
+    exhausted: false,
+  }));
+
+/**
+ * Posts with any of the hashtags the user follows
+ */
+export const createHashtagSources = (tags) =>
+  chunk(tags, IN_QUERY_LIMIT).map(tagChunk => ({
+    path: ['posts'],
+    constraints: [where('hashtags', 'array-contains-any', tagChunk)],
+    cursor: null,
+    exhausted: false,
+  }));
+
+export const createGlobalSource = () => ({
+  path: ['posts'],
+  constraints: [],
+  cursor: null,
+  exhausted: false,
+});
+
+/**
+ * The user's fanned-out timeline (users/{uid}/timeline). Entries only hold
+ * a postId and createdAt, the posts themselves are fetched after merging.
+ */
+export const createTimelineSource = (uid) => ({
+  path: ['users', uid, 'timeline'],
+  constraints: [],
+  isReference: true,
+  cursor: null,
+  exhausted: false,
+});
+
+/**
+ * Loads posts by id in batches of 30. Missing posts are left out.
+ */
+export const fetchPostsByIds = async (postIds) => {
+  const found = new Map();
+
+  await Promise.all(chunk(postIds, IN_QUERY_LIMIT).map(async (ids) => {
+    const snapshot = await getDocs(query(
+      collection(db, 'posts'),
+      where(documentId(), 'in', ids)
+    ));
+    snapshot.docs.forEach(docSnap => {
+      found.set(docSnap.id, { id: docSnap.id, ...docSnap.data() });
+    });
+  }));
+
+  return postIds.map(id => found.get(id)).filter(Boolean);
+};
+
+/**
+ * Fetches the next page of posts across all sources, newest first.
+ * Source cursors are advanced in place, only past the posts that made it
+ * into the returned page; anything fetched but not shown is read again next time.
+ */
+export const fetchMergedPage = async (sources, pageSize) => {
+  const activeSources = sources.filter(source => !source.exhausted);
+
+  const results = await Promise.all(activeSources.map(async (source) => {
+    const constraints = [...source.constraints, orderBy('createdAt', 'desc')];
+    if (source.cursor) {
+      constraints.push(startAfter(source.cursor));
+    }
+    constraints.push(limit(pageSize));
+
+    const snapshot = await getDocs(query(collection(db, ...source.path), ...constraints));
+    return { source, docs: snapshot.docs };
+  }));
+
+  const candidates = [];
+  results.forEach(({ source, docs }) => {
+    docs.forEach(docSnap => candidates.push({ source, docSnap }));
+  });
+  candidates.sort((a, b) =>
+    toMillis(b.docSnap.data().createdAt) - toMillis(a.docSnap.data().createdAt)
+  );
+
+  const seen = new Set();
+  const entries = [];
+  for (const { source, docSnap } of candidates) {
+    if (entries.length === pageSize) break;
+
+    source.cursor = docSnap;
+    const postId = source.isReference ? docSnap.data().postId : docSnap.id;
+    if (seen.has(postId)) continue;
+
+    seen.add(postId);
+    entries.push(source.isReference
+      ? { postId }
+      : { postId, post: { id: docSnap.id, ...docSnap.data() } }
+    );
+  }
+
+  // Timeline entries may point at posts deleted since they were fanned out
+  const referencedIds = entries.filter(entry => !entry.post).map(entry => entry.postId);
+  const referenced = referencedIds.length > 0 ? await fetchPostsByIds(referencedIds) : [];
+  const referencedById = new Map(referenced.map(post => [post.id, post]));
+
+  const posts = entries
+    .map(entry => entry.post || referencedById.get(entry.postId))
+    .filter(post => post && isVisiblePost(post));
+
+  // A source is done once it returned a short page and all of it was consumed
+  results.forEach(({ source, docs }) => {
+    const consumedAll = docs.length === 0 || source.cursor === docs[docs.length - 1];
+    source.exhausted = docs.length < pageSize && consumedAll;
+  });
+
+  return {
+    posts,
+    hasMore: sources.some(source => !source.exhausted),
+  };
+};
+
+/**
+ * Listens for posts newer than `since` on every source of a merged feed.
+ * Calls onChange with the ids of new posts, newest first.
+ * Returns an unsubscribe function.
+ */
+export const subscribeToNewPosts = (sources, since, onChange) => {
+  // Latest known entries per source, combined on every change
+  const entriesBySource = sources.map(() => []);
+
+  const emit = () => {
+    const seen = new Set();
+    const ids = entriesBySource
+      .flat()
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(entry => entry.postId)
+      .filter(postId => {
+        if (seen.has(postId)) return false;
+        seen.add(postId);
+        return true;
+      });
+    onChange(ids);
+  };
+
+  const unsubscribers = sources.map((source, index) => onSnapshot(
+    query(
+      collection(db, ...source.path),
+      ...source.constraints,
+      where('createdAt', '>', since),
+      orderBy('createdAt', 'desc')
+    ),
+    (snapshot) => {
+      entriesBySource[index] = snapshot.docs.map(docSnap => ({
+        postId: source.isReference ? docSnap.data().postId : docSnap.id,
+        createdAt: toMillis(docSnap.data().createdAt),
+      }));
+      emit();
+    },
+    (error) => console.error('Error listening for new posts:', error)
+  ));
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
+
+const FOR_YOU_CANDIDATES = 60;
+const AFFINITY_LOOKBACK = 100;
+
+/**
+ * Counts how often the user recently liked or commented on each author.
+ * Ranking goes on without affinity if these lookups fail.
+ */
+export const fetchAuthorAffinity = async (uid) => {
+  const affinity = {};
+  const addInteraction = (authorId) => {
+    if (authorId && authorId !== uid) {
+      affinity[authorId] = (affinity[authorId] || 0) + 1;
+    }
+  };
+
+  try {
+    const [likedSnapshot, commentsSnapshot] = await Promise.all([
+      getDocs(query(
+        collectionGroup(db, 'likes'),
+        where('type', '==', 'post'),
+        where('userId', '==', uid),
+        orderBy('createdAt', 'desc'),
+        limit(AFFINITY_LOOKBACK)
+      )),
+      getDocs(query(
+        collectionGroup(db, 'comments'),
+        where('userId', '==', uid),
+        orderBy('createdAt', 'desc'),
+        limit(AFFINITY_LOOKBACK)
+      )),
+    ]);
+
+    likedSnapshot.docs.forEach(docSnap => addInteraction(docSnap.data().postAuthorId));
+
+    // Comments only know their post, so look up the post authors
+    const commentedPostIds = commentsSnapshot.docs.map(docSnap => docSnap.ref.parent.parent.id);
+    const commentedPosts = await fetchPostsByIds(commentedPostIds);
+    const authorsById = new Map(commentedPosts.map(post => [post.id, post.userId]));
+    commentedPostIds.forEach(postId => addInteraction(authorsById.get(postId)));
+  } catch (error) {
+    console.error('Error loading author affinity:', error);
+    return {};
+  }
+
+  return affinity;
+};
+
+export const fetchRankingWeights = async () => {
+  try {
+    const settingsDoc = await getDoc(doc(db, 'settings', 'feedRanking'));
+    return mergeRankingWeights(settingsDoc.exists() ? settingsDoc.data() : {});
+  } catch (error) {
+    console.error('Error loading feed ranking settings:', error);
+    return mergeRankingWeights();
+  }
+};
+
+/**
+ * Builds the ranked "For You" list from recent posts by other users
+ */
+export const fetchForYouPosts = async (uid) => {
+  const [candidatesSnapshot, notInterestedSnapshot, affinity, weights] = await Promise.all([
+    getDocs(query(
+      collection(db, 'posts'),
+      orderBy('createdAt', 'desc'),
+      limit(FOR_YOU_CANDIDATES)
+    )),
+    getDocs(query(
+      collection(db, 'users', uid, 'notInterested'),
+      orderBy('createdAt', 'desc'),
+      limit(FOR_YOU_CANDIDATES * 3)
+    )),
+    fetchAuthorAffinity(uid),
+    fetchRankingWeights(),
+  ]);
+
+  const hiddenIds = new Set(notInterestedSnapshot.docs.map(docSnap => docSnap.id));
+  const candidates = candidatesSnapshot.docs
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    .filter(post =>
+      post.userId !== uid && isVisiblePost(post) && !hiddenIds.has(post.id)
+    );
+
+  return rankPosts(candidates, { now: Date.now(), affinity }, weights);
+};
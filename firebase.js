@@ -36,8 +36,12 @@ export const initializeFirebase = async () => {
       persistence: getReactNativePersistence(AsyncStorage)
     });
     
-    // Initialize other services
+    // Firestore's persistent cache needs IndexedDB, which React Native
+    // doesn't have, so it only caches in memory. The home feed is kept on
+    // disk by utils/feedCache for launching and browsing offline.
     db = getFirestore(app);
+    
+    // Initialize other services
     storage = getStorage(app);
     functions = getFunctions(app);
     
@@ -0,0 +1,65 @@
+/**
+ * Follow Service
+ * Follow/unfollow writes and batched relationship lookups
+ */
+
+import {
+  collection,
+  doc,
+  query,
+  where,
+  getDocs,
+  writeBatch,
+  documentId
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { chunk, IN_QUERY_LIMIT } from './feedService';
+
+// Both sides of a follow are written together. The follower and
+// following counts are kept by a Cloud Function.
+export const followUser = async (uid, targetId) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'users', uid, 'following', targetId), {
+    createdAt: new Date()
+  });
+  batch.set(doc(db, 'users', targetId, 'followers', uid), {
+    createdAt: new Date()
+  });
+  await batch.commit();
+};
+
+export const unfollowUser = async (uid, targetId) => {
+  const batch = writeBatch(db);
+  batch.delete(doc(db, 'users', uid, 'following', targetId));
+  batch.delete(doc(db, 'users', targetId, 'followers', uid));
+  await batch.commit();
+};
+
+const fetchExistingIds = async (collectionRef, ids) => {
+  const snapshots = await Promise.all(
+    chunk(ids, IN_QUERY_LIMIT).map(idChunk =>
+      getDocs(query(collectionRef, where(documentId(), 'in', idChunk)))
+    )
+  );
+
+  return new Set(snapshots.flatMap(snapshot => snapshot.docs.map(docSnap => docSnap.id)));
+};
+
+/**
+ * How the user relates to each of the given accounts
+ * @returns {Promise<Map>} id -> { following, followedBy }
+ */
+export const fetchRelationships = async (uid, ids) => {
+  const uniqueIds = [...new Set(ids)].filter(id => id && id !== uid);
+  if (uniqueIds.length === 0) return new Map();
+
+  const [followingIds, followerIds] = await Promise.all([
+    fetchExistingIds(collection(db, 'users', uid, 'following'), uniqueIds),
+    fetchExistingIds(collection(db, 'users', uid, 'followers'), uniqueIds),
+  ]);
+
+  return new Map(uniqueIds.map(id => [id, {
+    following: followingIds.has(id),
+    followedBy: followerIds.has(id)
+  }]));
+};
@@ -0,0 +1,117 @@
+/**
+ * Hashtags
+ * Caption parsing, hashtag pages and followed hashtags
+ */
+
+import {
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  limit,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { isVisiblePost } from './postStatus';
+
+// Letters, digits and underscores in any script
+const HASHTAG_PATTERN = /#([\p{L}\p{N}_]+)/gu;
+
+export const MAX_HASHTAGS = 30;
+const MAX_HASHTAG_LENGTH = 100;
+const HASHTAG_CANDIDATES = 90;
+const HASHTAG_GRID_SIZE = 30;
+
+export const normalizeHashtag = (tag) =>
+  tag.replace(/^#/, '').normalize('NFC').toLowerCase();
+
+/**
+ * Unique normalized hashtags in a caption, in the order they appear
+ */
+export const extractHashtags = (text) => {
+  const tags = [...(text || '').matchAll(HASHTAG_PATTERN)]
+    .map(match => normalizeHashtag(match[1]))
+    .filter(tag => tag.length <= MAX_HASHTAG_LENGTH);
+
+  return [...new Set(tags)].slice(0, MAX_HASHTAGS);
+};
+
+/**
+ * Splits text into plain and hashtag parts for rendering
+ * @returns {Array} [{ text, hashtag }] where hashtag is the normalized tag or null
+ */
+export const splitHashtags = (text) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of (text || '').matchAll(HASHTAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ text: text.slice(lastIndex, match.index), hashtag: null });
+    }
+    parts.push({ text: match[0], hashtag: normalizeHashtag(match[1]) });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < (text || '').length) {
+    parts.push({ text: text.slice(lastIndex), hashtag: null });
+  }
+  return parts;
+};
+
+/**
+ * @returns {Promise<object>} { tag, postCount }, zero for unused tags
+ */
+export const fetchHashtag = async (tag) => {
+  const hashtagDoc = await getDoc(doc(db, 'hashtags', tag));
+  return hashtagDoc.exists()
+    ? { tag, postCount: 0, ...hashtagDoc.data() }
+    : { tag, postCount: 0 };
+};
+
+const engagement = (post) => (post.likeCount || 0) + 2 * (post.commentCount || 0);
+
+/**
+ * Recent posts with the tag, plus the best performing of them for "Top"
+ * @returns {Promise<object>} { top, recent }
+ */
+export const fetchHashtagPosts = async (tag) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'posts'),
+    where('hashtags', 'array-contains', tag),
+    orderBy('createdAt', 'desc'),
+    limit(HASHTAG_CANDIDATES)
+  ));
+
+  const posts = snapshot.docs
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    .filter(isVisiblePost);
+
+  return {
+    top: [...posts].sort((a, b) => engagement(b) - engagement(a)).slice(0, HASHTAG_GRID_SIZE),
+    recent: posts.slice(0, HASHTAG_GRID_SIZE),
+  };
+};
+
+export const followHashtag = (uid, tag) =>
+  setDoc(doc(db, 'users', uid, 'followedHashtags', tag), {
+    tag,
+    createdAt: serverTimestamp()
+  });
+
+export const unfollowHashtag = (uid, tag) =>
+  deleteDoc(doc(db, 'users', uid, 'followedHashtags', tag));
+
+export const isFollowingHashtag = async (uid, tag) => {
+  const followDoc = await getDoc(doc(db, 'users', uid, 'followedHashtags', tag));
+  return followDoc.exists();
+};
+
+export const fetchFollowedHashtags = async (uid) => {
+  const snapshot = await getDocs(collection(db, 'users', uid, 'followedHashtags'));
+  return snapshot.docs.map(docSnap => docSnap.id);
+};
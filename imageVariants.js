@@ -0,0 +1,36 @@
+/**
+ * Image Variants
+ * Picks the smallest server-generated size of an image that still looks
+ * sharp at the size it is drawn. Variants are written by the
+ * generateImageVariants Cloud Function as
+ * { thumbnailURL, mediumURL, fullURL, blurhash }.
+ */
+
+import { PixelRatio } from 'react-native';
+
+// Keep in sync with VARIANT_WIDTHS in the Cloud Functions
+export const IMAGE_VARIANT_WIDTHS = {
+  thumbnail: 320,
+  medium: 720,
+  full: 1440,
+};
+
+/**
+ * @param {object} variants - variant URLs, may be missing while processing
+ * @param {number} displaySize - drawn width in points
+ * @param {string} fallbackURL - original upload, used until variants exist
+ */
+export const pickVariantURL = (variants, displaySize, fallbackURL) => {
+  const pixels = PixelRatio.getPixelSizeForLayoutSize(displaySize);
+
+  const preferred = pixels <= IMAGE_VARIANT_WIDTHS.thumbnail
+    ? ['thumbnailURL', 'mediumURL', 'fullURL']
+    : pixels <= IMAGE_VARIANT_WIDTHS.medium
+      ? ['mediumURL', 'fullURL']
+      : ['fullURL'];
+
+  const key = preferred.find(candidate => variants?.[candidate]);
+  return key ? variants[key] : fallbackURL;
+};
+
+export const getBlurhash = (variants) => variants?.blurhash || null;
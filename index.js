@@ -1,10 +1,15 @@
 /**
  * Firebase Cloud Functions
- * Handles follower rewards, notifications, and account deletion
+ * Handles follower rewards, timelines, scheduled posts, hashtags, like
+ * counts, uploads and image variants, notifications, mentions and
+ * account deletion
  */
 
+const crypto = require('crypto');
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const sharp = require('sharp');
+const { encode: encodeBlurhash } = require('blurhash');
 
 admin.initializeApp();
 
@@ -76,6 +81,448 @@ exports.checkFollowerReward = functions.firestore
     }
   });
 
+// Accounts with more followers than this are read at request time (pull)
+// instead of being copied into every follower's timeline
+const FANOUT_FOLLOWER_LIMIT = 10000;
+const TIMELINE_BACKFILL_COUNT = 20;
+const BATCH_LIMIT = 450;
+
+/**
+ * Timeline Fan-out
+ * Copies a lightweight reference of each new post into the timeline
+ * of the author and every follower. Scheduled posts wait for publishing.
+ */
+exports.fanOutPostToTimelines = functions.firestore
+  .document('posts/{postId}')
+  .onCreate(async (snap, context) => {
+    const postData = snap.data();
+    if (postData.status === 'scheduled') return;
+    
+    try {
+      await fanOutPost(context.params.postId, postData);
+    } catch (error) {
+      console.error('Error in fanOutPostToTimelines:', error);
+    }
+  });
+
+/**
+ * Timeline Fan-out for Scheduled Posts
+ * Runs the fan-out once publishScheduledPosts has published the post
+ */
+exports.fanOutPublishedPost = functions.firestore
+  .document('posts/{postId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    if (before.status !== 'scheduled' || after.status !== 'published') return;
+    
+    try {
+      await fanOutPost(context.params.postId, after);
+    } catch (error) {
+      console.error('Error in fanOutPublishedPost:', error);
+    }
+  });
+
+const SCHEDULED_PUBLISH_LIMIT = 200;
+
+/**
+ * Scheduled Post Publisher
+ * Publishes posts whose publishAt has passed. createdAt is set at this
+ * point, so the post enters feeds as new and counts towards postsCount.
+ */
+exports.publishScheduledPosts = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(async () => {
+    try {
+      const dueSnapshot = await db.collection('posts')
+        .where('status', '==', 'scheduled')
+        .where('publishAt', '<=', admin.firestore.Timestamp.now())
+        .limit(SCHEDULED_PUBLISH_LIMIT)
+        .get();
+      
+      // One transaction per post so an edit or cancel racing the publish
+      // is never overwritten
+      await Promise.all(dueSnapshot.docs.map(postDoc =>
+        db.runTransaction(async (transaction) => {
+          const current = await transaction.get(postDoc.ref);
+          if (!current.exists || current.data().status !== 'scheduled') return;
+          if (current.data().publishAt.toMillis() > Date.now()) return;
+          
+          transaction.update(postDoc.ref, {
+            status: 'published',
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          transaction.update(db.collection('users').doc(current.data().userId), {
+            postsCount: admin.firestore.FieldValue.increment(1)
+          });
+        })
+      ));
+      
+      if (!dueSnapshot.empty) {
+        console.log(`Published ${dueSnapshot.size} scheduled posts`);
+      }
+    } catch (error) {
+      console.error('Error in publishScheduledPosts:', error);
+    }
+  });
+
+/**
+ * Timeline Backfill
+ * Adds recent posts to a new follower's timeline, or marks the follow
+ * as pull-based when the account is too large to fan out
+ */
+exports.backfillTimelineOnFollow = functions.firestore
+  .document('users/{userId}/followers/{followerId}')
+  .onCreate(async (snap, context) => {
+    const { userId, followerId } = context.params;
+    
+    try {
+      const authorDoc = await db.collection('users').doc(userId).get();
+      if (!authorDoc.exists) return;
+      
+      if (authorDoc.data().pullFeed) {
+        await db.collection('users').doc(followerId)
+          .collection('following').doc(userId)
+          .set({ pull: true }, { merge: true });
+        return;
+      }
+      
+      const postsSnapshot = await db.collection('posts')
+        .where('userId', '==', userId)
+        .orderBy('createdAt', 'desc')
+        .limit(TIMELINE_BACKFILL_COUNT)
+        .get();
+      
+      const batch = db.batch();
+      postsSnapshot.docs.forEach(postDoc => {
+        batch.set(
+          db.collection('users').doc(followerId).collection('timeline').doc(postDoc.id),
+          timelineEntry(postDoc.id, postDoc.data())
+        );
+      });
+      
+      await batch.commit();
+    } catch (error) {
+      console.error('Error in backfillTimelineOnFollow:', error);
+    }
+  });
+
+/**
+ * Timeline Cleanup on Unfollow
+ * Removes the unfollowed account's posts from the former follower's timeline
+ */
+exports.cleanTimelineOnUnfollow = functions.firestore
+  .document('users/{userId}/followers/{followerId}')
+  .onDelete(async (snap, context) => {
+    const { userId, followerId } = context.params;
+    
+    try {
+      const entriesSnapshot = await db.collection('users').doc(followerId)
+        .collection('timeline')
+        .where('authorId', '==', userId)
+        .get();
+      
+      await deleteInBatches(entriesSnapshot.docs.map(entryDoc => entryDoc.ref));
+    } catch (error) {
+      console.error('Error in cleanTimelineOnUnfollow:', error);
+    }
+  });
+
+/**
+ * Timeline Cleanup on Post Deletion
+ * Removes every timeline reference to a deleted post
+ */
+exports.cleanTimelineOnPostDelete = functions.firestore
+  .document('posts/{postId}')
+  .onDelete(async (snap, context) => {
+    const { postId } = context.params;
+    
+    try {
+      const entriesSnapshot = await db.collectionGroup('timeline')
+        .where('postId', '==', postId)
+        .get();
+      
+      await deleteInBatches(entriesSnapshot.docs.map(entryDoc => entryDoc.ref));
+    } catch (error) {
+      console.error('Error in cleanTimelineOnPostDelete:', error);
+    }
+  });
+
+/**
+ * Hashtag Counts
+ * Keeps hashtags/{tag}.postCount in step with the hashtags of published,
+ * unarchived posts
+ */
+exports.updateHashtagCounts = functions.firestore
+  .document('posts/{postId}')
+  .onWrite(async (change) => {
+    const countedTags = (snap) => {
+      if (!snap.exists || snap.data().status === 'scheduled' || snap.data().archived) return [];
+      return snap.data().hashtags || [];
+    };
+    
+    const before = countedTags(change.before);
+    const after = countedTags(change.after);
+    const added = after.filter(tag => !before.includes(tag));
+    const removed = before.filter(tag => !after.includes(tag));
+    if (added.length === 0 && removed.length === 0) return;
+    
+    try {
+      const batch = db.batch();
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      
+      added.forEach(tag => {
+        batch.set(db.collection('hashtags').doc(tag), {
+          tag,
+          postCount: admin.firestore.FieldValue.increment(1),
+          lastPostAt: now
+        }, { merge: true });
+      });
+      removed.forEach(tag => {
+        batch.set(db.collection('hashtags').doc(tag), {
+          tag,
+          postCount: admin.firestore.FieldValue.increment(-1)
+        }, { merge: true });
+      });
+      
+      await batch.commit();
+    } catch (error) {
+      console.error('Error updating hashtag counts:', error);
+    }
+  });
+
+// Posts past this many likes spread their counter over shards so bursts
+// of likes stay under Firestore's per-document write rate
+const HOT_POST_LIKE_THRESHOLD = 500;
+const LIKE_COUNTER_SHARDS = 10;
+
+/**
+ * Like Counter
+ * Keeps posts/{postId}.likeCount in step with the likes subcollection.
+ * Hot posts write to a random counter shard instead and are summed up
+ * by aggregateLikeShards.
+ */
+exports.updateLikeCount = functions.firestore
+  .document('posts/{postId}/likes/{userId}')
+  .onWrite(async (change, context) => {
+    const { postId } = context.params;
+    
+    if (change.before.exists === change.after.exists) return;
+    
+    // Likes copied over by the migration are already counted
+    if (change.after.exists && change.after.data().migrated) return;
+    
+    const delta = change.after.exists ? 1 : -1;
+    const postRef = db.collection('posts').doc(postId);
+    
+    try {
+      await db.runTransaction(async (transaction) => {
+        const postDoc = await transaction.get(postRef);
+        if (!postDoc.exists) return;
+        
+        const { likeCount = 0, likeShards } = postDoc.data();
+        
+        if (likeShards) {
+          const shard = Math.floor(Math.random() * likeShards);
+          transaction.set(postRef.collection('likeCounters').doc(String(shard)), {
+            count: admin.firestore.FieldValue.increment(delta),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          }, { merge: true });
+          return;
+        }
+        
+        const newCount = Math.max(likeCount + delta, 0);
+        
+        if (newCount >= HOT_POST_LIKE_THRESHOLD) {
+          // Seed the first shard with the running total so the sum stays correct
+          transaction.set(postRef.collection('likeCounters').doc('0'), {
+            count: newCount,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          transaction.update(postRef, { likeCount: newCount, likeShards: LIKE_COUNTER_SHARDS });
+        } else {
+          transaction.update(postRef, { likeCount: newCount });
+        }
+      });
+    } catch (error) {
+      console.error('Error in updateLikeCount:', error);
+    }
+  });
+
+/**
+ * Like Shard Aggregation
+ * Sums the counter shards of recently liked hot posts into likeCount
+ */
+exports.aggregateLikeShards = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(async () => {
+    const since = admin.firestore.Timestamp.fromMillis(Date.now() - 2 * 60 * 1000);
+    
+    try {
+      const shardsSnapshot = await db.collectionGroup('likeCounters')
+        .where('updatedAt', '>=', since)
+        .get();
+      
+      const postRefs = new Map();
+      shardsSnapshot.docs.forEach(shardDoc => {
+        const postRef = shardDoc.ref.parent.parent;
+        postRefs.set(postRef.id, postRef);
+      });
+      
+      for (const postRef of postRefs.values()) {
+        const countersSnapshot = await postRef.collection('likeCounters').get();
+        const total = countersSnapshot.docs
+          .reduce((sum, counterDoc) => sum + (counterDoc.data().count || 0), 0);
+        
+        await postRef.update({ likeCount: Math.max(total, 0) })
+          .catch(error => console.error(`Error updating likeCount for ${postRef.id}:`, error));
+      }
+    } catch (error) {
+      console.error('Error in aggregateLikeShards:', error);
+    }
+  });
+
+// Uploads still pending after this long were abandoned by the client
+const PENDING_UPLOAD_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Orphaned Upload Cleanup
+ * Deletes media from upload batches that never turned into a post,
+ * e.g. when the app was killed mid-upload
+ */
+exports.cleanOrphanedUploads = functions.pubsub
+  .schedule('every 6 hours')
+  .onRun(async () => {
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - PENDING_UPLOAD_TTL);
+    
+    try {
+      const pendingSnapshot = await db.collectionGroup('pendingUploads')
+        .where('createdAt', '<', cutoff)
+        .get();
+      
+      const bucket = storage.bucket();
+      for (const pendingDoc of pendingSnapshot.docs) {
+        const { paths = [] } = pendingDoc.data();
+        await Promise.all(withVariantPaths(paths).map(path =>
+          bucket.file(path).delete({ ignoreNotFound: true })
+        ));
+        await pendingDoc.ref.delete();
+      }
+      
+      console.log(`Cleaned up ${pendingSnapshot.size} abandoned upload batches`);
+    } catch (error) {
+      console.error('Error in cleanOrphanedUploads:', error);
+    }
+  });
+
+// Widths in pixels; keep in sync with IMAGE_VARIANT_WIDTHS in imageVariants.js
+const VARIANT_WIDTHS = {
+  thumbnail: 320,
+  medium: 720,
+  full: 1440,
+};
+const VARIANT_SOURCE_PATTERNS = [
+  /^posts\/[^/]+\/[^/]+$/,
+  /^users\/[^/]+\/avatar_[^/]+$/,
+];
+
+/**
+ * Image Variants
+ * Resizes uploaded post images and avatars into thumbnail, medium and
+ * full JPEGs with a blurhash placeholder, then attaches them to the post
+ * or user that references the upload
+ */
+exports.generateImageVariants = functions
+  .runWith({ memory: '1GB', timeoutSeconds: 120 })
+  .storage.object()
+  .onFinalize(async (object) => {
+    const filePath = object.name;
+    
+    // Variants live under variants/, which never matches a source pattern
+    if (!object.contentType || !object.contentType.startsWith('image/')) return;
+    if (!VARIANT_SOURCE_PATTERNS.some(pattern => pattern.test(filePath))) return;
+    
+    try {
+      const bucket = storage.bucket(object.bucket);
+      const [original] = await bucket.file(filePath).download();
+      const variants = await buildImageVariants(bucket, filePath, original);
+      
+      // Kept by path so posts and profiles saved after this run can pick it up
+      await db.collection('mediaVariants').doc(variantDocId(filePath)).set({
+        path: filePath,
+        ...variants,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      const [postsSnapshot, usersSnapshot] = await Promise.all([
+        db.collection('posts').where('mediaPaths', 'array-contains', filePath).get(),
+        db.collection('users').where('avatarPath', '==', filePath).get(),
+      ]);
+      
+      await Promise.all([
+        ...postsSnapshot.docs.map(postDoc =>
+          attachPostVariants(postDoc.ref, { [filePath]: variants })
+        ),
+        ...usersSnapshot.docs.map(userDoc =>
+          userDoc.ref.update({ avatarVariants: variants })
+        ),
+      ]);
+    } catch (error) {
+      console.error('Error in generateImageVariants:', error);
+    }
+  });
+
+/**
+ * Attaches variants that were generated before the post was created
+ */
+exports.attachVariantsOnPostCreate = functions.firestore
+  .document('posts/{postId}')
+  .onCreate(async (snap) => {
+    const { mediaPaths = [] } = snap.data();
+    if (mediaPaths.length === 0) return;
+    
+    try {
+      const variantDocs = await db.getAll(
+        ...mediaPaths.map(path => db.collection('mediaVariants').doc(variantDocId(path)))
+      );
+      
+      const variantsByPath = {};
+      variantDocs
+        .filter(variantDoc => variantDoc.exists)
+        .forEach(variantDoc => {
+          const { path, createdAt, ...variants } = variantDoc.data();
+          variantsByPath[path] = variants;
+        });
+      
+      if (Object.keys(variantsByPath).length > 0) {
+        await attachPostVariants(snap.ref, variantsByPath);
+      }
+    } catch (error) {
+      console.error('Error in attachVariantsOnPostCreate:', error);
+    }
+  });
+
+/**
+ * Attaches variants to a profile whose new avatar was processed before
+ * the profile was saved
+ */
+exports.attachVariantsOnAvatarChange = functions.firestore
+  .document('users/{userId}')
+  .onUpdate(async (change) => {
+    const { avatarPath, avatarVariants } = change.after.data();
+    if (!avatarPath || avatarVariants) return;
+    
+    try {
+      const variantDoc = await db.collection('mediaVariants').doc(variantDocId(avatarPath)).get();
+      if (!variantDoc.exists) return;
+      
+      const { path, createdAt, ...variants } = variantDoc.data();
+      await change.after.ref.update({ avatarVariants: variants });
+    } catch (error) {
+      console.error('Error in attachVariantsOnAvatarChange:', error);
+    }
+  });
+
 /**
  * New Message Notification
  * Sends push notification when a new message is received
@@ -108,9 +555,7 @@ exports.sendMessageNotification = functions.firestore
         to: recipientData.pushToken,
         sound: 'default',
         title: messageData.senderName || 'New Message',
-        body: messageData.text.length > 50 
-          ? messageData.text.substring(0, 50) + '...' 
-          : messageData.text,
+        body: messageBody(messageData),
         data: { 
           type: 'message', 
           chatId: chatId,
@@ -125,6 +570,457 @@ exports.sendMessageNotification = functions.firestore
     }
   });
 
+/**
+ * Post Mentions
+ * Notifies users newly mentioned in a published post's caption, including
+ * when a scheduled post goes live or a caption is edited
+ */
+exports.notifyPostMentions = functions.firestore
+  .document('posts/{postId}')
+  .onWrite(async (change, context) => {
+    const mentionedIds = (snap) => {
+      if (!snap.exists || snap.data().status === 'scheduled') return [];
+      return (snap.data().mentions || []).map(mention => mention.userId);
+    };
+    
+    const before = mentionedIds(change.before);
+    const added = mentionedIds(change.after).filter(id => !before.includes(id));
+    if (added.length === 0) return;
+    
+    const postData = change.after.data();
+    try {
+      await notifyMentions(postData.userId, added, {
+        source: 'post',
+        postId: context.params.postId,
+        text: postData.caption
+      });
+    } catch (error) {
+      console.error('Error in notifyPostMentions:', error);
+    }
+  });
+
+/**
+ * Reply Counts
+ * Keeps replyCount on top-level comments, and removes a deleted
+ * comment's placeholder once its last reply is gone
+ */
+exports.updateReplyCount = functions.firestore
+  .document('posts/{postId}/comments/{commentId}')
+  .onWrite(async (change, context) => {
+    // Only replies being created or deleted change a count
+    if (change.before.exists === change.after.exists) return;
+    
+    const commentData = (change.after.exists ? change.after : change.before).data();
+    if (!commentData.parentId) return;
+    
+    const parentRef = db.collection('posts').doc(context.params.postId)
+      .collection('comments').doc(commentData.parentId);
+    const delta = change.after.exists ? 1 : -1;
+    
+    try {
+      await db.runTransaction(async (transaction) => {
+        const parentDoc = await transaction.get(parentRef);
+        if (!parentDoc.exists) return;
+        
+        const replyCount = Math.max(0, (parentDoc.data().replyCount || 0) + delta);
+        if (parentDoc.data().deleted && replyCount === 0) {
+          transaction.delete(parentRef);
+        } else {
+          transaction.update(parentRef, { replyCount });
+        }
+      });
+    } catch (error) {
+      console.error('Error updating reply count:', error);
+    }
+  });
+
+/**
+ * Comment Count
+ * Keeps commentCount on posts. Hidden comments don't count, since only
+ * their author sees them. A comment that is deleted or turned into a
+ * "comment deleted" placeholder is also unpinned and loses its likes.
+ */
+exports.updateCommentCount = functions.firestore
+  .document('posts/{postId}/comments/{commentId}')
+  .onWrite(async (change, context) => {
+    const { postId, commentId } = context.params;
+    const isRemoved = (snap) => !snap.exists || !!snap.data().deleted;
+    const counts = (snap) => !isRemoved(snap) && !snap.data().hidden;
+    
+    const delta = Number(counts(change.after)) - Number(counts(change.before));
+    const removed = isRemoved(change.after) && !isRemoved(change.before);
+    if (delta === 0 && !removed) return;
+    
+    const postRef = db.collection('posts').doc(postId);
+    const commentRef = postRef.collection('comments').doc(commentId);
+    
+    try {
+      await db.runTransaction(async (transaction) => {
+        const postDoc = await transaction.get(postRef);
+        if (!postDoc.exists) return;
+        
+        const update = {};
+        if (delta !== 0) {
+          update.commentCount = Math.max((postDoc.data().commentCount || 0) + delta, 0);
+        }
+        if (removed) {
+          update.pinnedCommentIds = admin.firestore.FieldValue.arrayRemove(commentId);
+        }
+        transaction.update(postRef, update);
+      });
+      
+      if (removed) {
+        await deleteSubcollection(commentRef.collection('likes'));
+      }
+    } catch (error) {
+      console.error('Error in updateCommentCount:', error);
+    }
+  });
+
+/**
+ * Comment Likes
+ * Keeps likeCount on comments and tells the author who liked their comment
+ */
+exports.updateCommentLikeCount = functions.firestore
+  .document('posts/{postId}/comments/{commentId}/likes/{userId}')
+  .onWrite(async (change, context) => {
+    const { postId, commentId, userId } = context.params;
+    
+    if (change.before.exists === change.after.exists) return;
+    
+    const commentRef = db.collection('posts').doc(postId)
+      .collection('comments').doc(commentId);
+    const delta = change.after.exists ? 1 : -1;
+    
+    try {
+      const commentData = await db.runTransaction(async (transaction) => {
+        const commentDoc = await transaction.get(commentRef);
+        if (!commentDoc.exists) return null;
+        
+        transaction.update(commentRef, {
+          likeCount: Math.max((commentDoc.data().likeCount || 0) + delta, 0)
+        });
+        return commentDoc.data();
+      });
+      
+      if (!commentData || delta < 0 || commentData.userId === userId) return;
+      
+      await addActivity(commentData.userId, {
+        type: 'commentLike',
+        actorId: userId,
+        postId,
+        commentId,
+        preview: truncateText(commentData.text)
+      });
+    } catch (error) {
+      console.error('Error in updateCommentLikeCount:', error);
+    }
+  });
+
+/**
+ * Muted Keywords
+ * Flags comments containing one of the post owner's muted keywords as
+ * hidden, so only their author sees them. The owner's own comments are
+ * never hidden.
+ */
+exports.hideMutedComments = functions.firestore
+  .document('posts/{postId}/comments/{commentId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) return;
+    
+    const commentData = change.after.data();
+    if (commentData.deleted) return;
+    if (change.before.exists && change.before.data().text === commentData.text) return;
+    
+    try {
+      const postDoc = await db.collection('posts').doc(context.params.postId).get();
+      if (!postDoc.exists) return;
+      
+      const ownerId = postDoc.data().userId;
+      const ownerDoc = await db.collection('users').doc(ownerId).get();
+      const mutedKeywords = ownerDoc.data()?.settings?.mutedKeywords || [];
+      const hidden = isMutedComment(commentData, ownerId, mutedKeywords);
+      
+      if (hidden !== !!commentData.hidden) {
+        await change.after.ref.update({ hidden });
+      }
+    } catch (error) {
+      console.error('Error in hideMutedComments:', error);
+    }
+  });
+
+/**
+ * Muted Keyword Changes
+ * Re-checks the comments already on a user's posts when keywords are added
+ * or removed. Each post gets a mutedKeywordChecks task so large accounts
+ * are spread over many function runs.
+ */
+exports.applyMutedKeywords = functions.firestore
+  .document('users/{userId}')
+  .onUpdate(async (change, context) => {
+    const { userId } = context.params;
+    const before = new Set(change.before.data().settings?.mutedKeywords || []);
+    const after = new Set(change.after.data().settings?.mutedKeywords || []);
+    if (before.size === after.size && [...after].every(keyword => before.has(keyword))) return;
+    
+    try {
+      const postsRef = db.collection('posts').where('userId', '==', userId);
+      let lastDoc = null;
+      
+      while (true) {
+        let postsQuery = postsRef
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .select()
+          .limit(BATCH_LIMIT);
+        if (lastDoc) {
+          postsQuery = postsQuery.startAfter(lastDoc);
+        }
+        
+        const snapshot = await postsQuery.get();
+        if (snapshot.empty) break;
+        
+        const batch = db.batch();
+        snapshot.docs.forEach(postDoc => {
+          batch.set(db.collection('mutedKeywordChecks').doc(), {
+            postId: postDoc.id,
+            userId,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+        await batch.commit();
+        
+        if (snapshot.size < BATCH_LIMIT) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+    } catch (error) {
+      console.error('Error in applyMutedKeywords:', error);
+    }
+  });
+
+/**
+ * Muted Keyword Check
+ * Pages through one post's comments, hiding new matches and showing
+ * comments again. The owner's keywords are read when the task runs, so
+ * quick successive changes all end up with the latest ones.
+ */
+exports.checkMutedKeywords = functions.firestore
+  .document('mutedKeywordChecks/{checkId}')
+  .onCreate(async (snap) => {
+    const { postId, userId } = snap.data();
+    
+    try {
+      const ownerDoc = await db.collection('users').doc(userId).get();
+      const mutedKeywords = ownerDoc.data()?.settings?.mutedKeywords || [];
+      const commentsRef = db.collection('posts').doc(postId).collection('comments');
+      let lastDoc = null;
+      
+      while (true) {
+        let commentsQuery = commentsRef
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(BATCH_LIMIT);
+        if (lastDoc) {
+          commentsQuery = commentsQuery.startAfter(lastDoc);
+        }
+        
+        const snapshot = await commentsQuery.get();
+        if (snapshot.empty) break;
+        
+        const batch = db.batch();
+        let batchSize = 0;
+        snapshot.docs.forEach(commentDoc => {
+          const commentData = commentDoc.data();
+          if (commentData.deleted) return;
+          
+          const hidden = isMutedComment(commentData, userId, mutedKeywords);
+          if (hidden !== !!commentData.hidden) {
+            batch.update(commentDoc.ref, { hidden });
+            batchSize += 1;
+          }
+        });
+        if (batchSize > 0) {
+          await batch.commit();
+        }
+        
+        if (snapshot.size < BATCH_LIMIT) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+      
+      await snap.ref.delete();
+    } catch (error) {
+      console.error('Error in checkMutedKeywords:', error);
+    }
+  });
+
+/**
+ * Comment Mentions
+ * Comments hidden by the post owner's muted keywords notify no one
+ */
+exports.notifyCommentMentions = functions.firestore
+  .document('posts/{postId}/comments/{commentId}')
+  .onCreate(async (snap, context) => {
+    const commentData = snap.data();
+    const mentions = commentData.mentions || [];
+    if (mentions.length === 0) return;
+    
+    try {
+      const postDoc = await db.collection('posts').doc(context.params.postId).get();
+      if (!postDoc.exists) return;
+      
+      const ownerId = postDoc.data().userId;
+      const ownerDoc = await db.collection('users').doc(ownerId).get();
+      const mutedKeywords = ownerDoc.data()?.settings?.mutedKeywords || [];
+      if (isMutedComment(commentData, ownerId, mutedKeywords)) return;
+      
+      await notifyMentions(commentData.userId, mentions.map(mention => mention.userId), {
+        source: 'comment',
+        postId: context.params.postId,
+        commentId: context.params.commentId,
+        text: commentData.text
+      });
+    } catch (error) {
+      console.error('Error in notifyCommentMentions:', error);
+    }
+  });
+
+/**
+ * Message Mentions
+ * Chats are private, so only people in the chat are notified
+ */
+exports.notifyMessageMentions = functions.firestore
+  .document('chats/{chatId}/messages/{messageId}')
+  .onCreate(async (snap, context) => {
+    const messageData = snap.data();
+    const mentions = messageData.mentions || [];
+    if (mentions.length === 0) return;
+    
+    try {
+      const chatDoc = await db.collection('chats').doc(context.params.chatId).get();
+      if (!chatDoc.exists) return;
+      
+      const participants = chatDoc.data().participants || [];
+      const mentionedIds = mentions
+        .map(mention => mention.userId)
+        .filter(id => participants.includes(id));
+      
+      await notifyMentions(messageData.senderId, mentionedIds, {
+        source: 'message',
+        chatId: context.params.chatId,
+        text: messageData.text
+      });
+    } catch (error) {
+      console.error('Error in notifyMessageMentions:', error);
+    }
+  });
+
+/**
+ * Photo Tags
+ * Tells people when they are tagged in a published post, including tags
+ * that still wait for their approval
+ */
+exports.notifyPhotoTags = functions.firestore
+  .document('posts/{postId}')
+  .onWrite(async (change, context) => {
+    const taggedIds = (snap) => {
+      if (!snap.exists || snap.data().status === 'scheduled') return [];
+      const data = snap.data();
+      return [...(data.taggedUserIds || []), ...(data.pendingTagUserIds || [])];
+    };
+    
+    // Approving a tag moves it between the two lists, which isn't a new tag
+    const before = taggedIds(change.before);
+    const added = [...new Set(taggedIds(change.after))].filter(id => !before.includes(id));
+    if (added.length === 0) return;
+    
+    const postData = change.after.data();
+    const postId = context.params.postId;
+    try {
+      const actorDoc = await db.collection('users').doc(postData.userId).get();
+      const actorName = actorDoc.exists ? actorDoc.data().username : 'Someone';
+      
+      await Promise.all(added.filter(id => id !== postData.userId).map(async (recipientId) => {
+        const recipientDoc = await db.collection('users').doc(recipientId).get();
+        if (!recipientDoc.exists) return;
+        
+        const pending = (postData.pendingTagUserIds || []).includes(recipientId);
+        await addActivity(recipientId, {
+          type: 'tag',
+          actorId: postData.userId,
+          postId,
+          pending,
+          preview: truncateText(postData.caption)
+        });
+        
+        const recipientData = recipientDoc.data();
+        if (!recipientData.pushToken || !recipientData.settings?.notifications) return;
+        
+        await sendPushNotification({
+          to: recipientData.pushToken,
+          sound: 'default',
+          title: `${actorName} tagged you in a post`,
+          body: pending ? 'Approve the tag to show the post on your profile' : truncateText(postData.caption),
+          data: { type: 'tag', postId }
+        });
+      }));
+    } catch (error) {
+      console.error('Error in notifyPhotoTags:', error);
+    }
+  });
+
+/**
+ * Respond To Tag
+ * Lets a tagged user approve a pending tag, or remove themselves from
+ * the post. Tagged users can't write the post, so this runs here.
+ */
+exports.respondToTag = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  
+  const { postId, approve } = data || {};
+  if (!postId) {
+    throw new functions.https.HttpsError('invalid-argument', 'postId is required');
+  }
+  
+  const userId = context.auth.uid;
+  const postRef = db.collection('posts').doc(postId);
+  
+  await db.runTransaction(async (transaction) => {
+    const postDoc = await transaction.get(postRef);
+    if (!postDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Post not found');
+    }
+    
+    const postData = postDoc.data();
+    const pendingIds = postData.pendingTagUserIds || [];
+    const taggedIds = postData.taggedUserIds || [];
+    
+    if (approve) {
+      if (!pendingIds.includes(userId)) {
+        throw new functions.https.HttpsError('failed-precondition', 'No pending tag to approve');
+      }
+      transaction.update(postRef, {
+        pendingTagUserIds: admin.firestore.FieldValue.arrayRemove(userId),
+        taggedUserIds: admin.firestore.FieldValue.arrayUnion(userId)
+      });
+      return;
+    }
+    
+    if (!pendingIds.includes(userId) && !taggedIds.includes(userId)) {
+      throw new functions.https.HttpsError('failed-precondition', 'You are not tagged in this post');
+    }
+    transaction.update(postRef, {
+      pendingTagUserIds: admin.firestore.FieldValue.arrayRemove(userId),
+      taggedUserIds: admin.firestore.FieldValue.arrayRemove(userId),
+      media: (postData.media || []).map(item => item.tags
+        ? { ...item, tags: item.tags.filter(tag => tag.userId !== userId) }
+        : item
+      )
+    });
+  });
+  
+  return { success: true };
+});
+
 /**
  * Delete User Account
  * Removes all user data and associated files
@@ -150,10 +1046,15 @@ exports.deleteUserAccount = functions.https.onCall(async (data, context) => {
       batch.delete(doc.ref);
     });
     
-    // Delete user's comments
+    // Delete user's comments, leaving a placeholder where others replied
     const commentsQuery = await db.collectionGroup('comments').where('userId', '==', userId).get();
     commentsQuery.docs.forEach(doc => {
-      batch.delete(doc.ref);
+      const commentData = doc.data();
+      if (!commentData.parentId && commentData.replyCount > 0) {
+        batch.update(doc.ref, { deleted: true, text: '', mentions: [] });
+      } else {
+        batch.delete(doc.ref);
+      }
     });
     
     // Delete user's chats (only if they are the only participant)
@@ -193,11 +1094,31 @@ exports.deleteUserAccount = functions.https.onCall(async (data, context) => {
     // Commit all deletions
     await batch.commit();
     
+    // Removing the user's likes lets the counter trigger decrement each post
+    const likesSnapshot = await db.collectionGroup('likes').where('userId', '==', userId).get();
+    await deleteInBatches(likesSnapshot.docs.map(doc => doc.ref));
+    
+    // Timelines and saved posts can be large, so they are cleared in their own batches
+    const timelineSnapshot = await db.collection('users').doc(userId).collection('timeline').get();
+    await deleteInBatches(timelineSnapshot.docs.map(doc => doc.ref));
+    
+    const savedSnapshot = await db.collection('users').doc(userId).collection('saved').get();
+    await deleteInBatches(savedSnapshot.docs.map(doc => doc.ref));
+    
+    const pendingUploadsSnapshot = await db.collection('users').doc(userId).collection('pendingUploads').get();
+    await deleteInBatches(pendingUploadsSnapshot.docs.map(doc => doc.ref));
+    
+    await deleteSubcollection(db.collection('users').doc(userId).collection('followedHashtags'));
+    await deleteSubcollection(db.collection('users').doc(userId).collection('activity'));
+    
     // Delete user's files from Storage
     const bucket = storage.bucket();
     await bucket.deleteFiles({
       prefix: `users/${userId}/`
     });
+    await bucket.deleteFiles({
+      prefix: `variants/users/${userId}/`
+    });
     
     // Delete user from Authentication
     await admin.auth().deleteUser(userId);
@@ -211,6 +1132,69 @@ exports.deleteUserAccount = functions.https.onCall(async (data, context) => {
   }
 });
 
+/**
+ * Delete Post
+ * Removes a post with its media, comments and the owner's post count
+ * in one server-side pass
+ */
+exports.deletePost = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  
+  const { postId } = data || {};
+  if (!postId) {
+    throw new functions.https.HttpsError('invalid-argument', 'postId is required');
+  }
+  
+  const postRef = db.collection('posts').doc(postId);
+  const postDoc = await postRef.get();
+  
+  if (!postDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Post not found');
+  }
+  
+  const postData = postDoc.data();
+  if (postData.userId !== context.auth.uid) {
+    throw new functions.https.HttpsError('permission-denied', 'Only the owner can delete this post');
+  }
+  
+  try {
+    // Media first: if this fails the post is still there to retry from
+    const bucket = storage.bucket();
+    const mediaPaths = postMediaPaths(postData);
+    await Promise.all(withVariantPaths(mediaPaths).map(path =>
+      bucket.file(path).delete({ ignoreNotFound: true })
+    ));
+    await deleteInBatches(mediaPaths.map(path =>
+      db.collection('mediaVariants').doc(variantDocId(path))
+    ));
+    
+    await deleteSubcollection(postRef.collection('comments'));
+    
+    const batch = db.batch();
+    batch.delete(postRef);
+    // Scheduled posts are only counted once published
+    if (postData.status !== 'scheduled') {
+      batch.update(db.collection('users').doc(postData.userId), {
+        postsCount: admin.firestore.FieldValue.increment(-1)
+      });
+    }
+    await batch.commit();
+    
+    // Cleared after the post is gone so the like trigger has nothing to recount
+    await deleteSubcollection(postRef.collection('likes'));
+    await deleteSubcollection(postRef.collection('likeCounters'));
+    
+    console.log(`Post ${postId} deleted by ${context.auth.uid}`);
+    return { success: true };
+    
+  } catch (error) {
+    console.error('Error deleting post:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to delete post');
+  }
+});
+
 /**
  * Update Follower Counts
  * Maintains accurate follower/following counts
@@ -247,6 +1231,309 @@ exports.updateFollowerCounts = functions.firestore
     }
   });
 
+/**
+ * Builds the timeline reference stored for a post
+ */
+function timelineEntry(postId, postData) {
+  return {
+    postId,
+    authorId: postData.userId,
+    createdAt: postData.createdAt || admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Adds a post to the author's timeline and, unless the author is too
+ * large to fan out, to every follower's timeline
+ */
+async function fanOutPost(postId, postData) {
+  const authorId = postData.userId;
+  const authorDoc = await db.collection('users').doc(authorId).get();
+  const authorData = authorDoc.exists ? authorDoc.data() : {};
+  const entry = timelineEntry(postId, postData);
+  
+  // The author always sees their own posts
+  await db.collection('users').doc(authorId)
+    .collection('timeline').doc(postId).set(entry);
+  
+  if ((authorData.followersCount || 0) >= FANOUT_FOLLOWER_LIMIT) {
+    if (!authorData.pullFeed) {
+      await switchAuthorToPull(authorId);
+    }
+    return;
+  }
+  
+  await forEachFollower(authorId, (batch, followerId) => {
+    batch.set(
+      db.collection('users').doc(followerId).collection('timeline').doc(postId),
+      entry
+    );
+  });
+}
+
+/**
+ * Helper to run a batched write for every follower of a user,
+ * paging through the followers subcollection
+ */
+async function forEachFollower(userId, addToBatch) {
+  const followersRef = db.collection('users').doc(userId).collection('followers');
+  let lastDoc = null;
+  
+  while (true) {
+    let followersQuery = followersRef
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BATCH_LIMIT);
+    if (lastDoc) {
+      followersQuery = followersQuery.startAfter(lastDoc);
+    }
+    
+    const snapshot = await followersQuery.get();
+    if (snapshot.empty) break;
+    
+    const batch = db.batch();
+    snapshot.docs.forEach(followerDoc => addToBatch(batch, followerDoc.id));
+    await batch.commit();
+    
+    if (snapshot.size < BATCH_LIMIT) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Marks an account as pull-based: its followers read its posts directly
+ * instead of receiving timeline copies
+ */
+async function switchAuthorToPull(authorId) {
+  await db.collection('users').doc(authorId).update({ pullFeed: true });
+  
+  await forEachFollower(authorId, (batch, followerId) => {
+    batch.set(
+      db.collection('users').doc(followerId).collection('following').doc(authorId),
+      { pull: true },
+      { merge: true }
+    );
+  });
+  
+  console.log(`User ${authorId} switched to pull timeline delivery`);
+}
+
+/**
+ * Helper to delete a list of document references within batch limits
+ */
+async function deleteInBatches(refs) {
+  for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    refs.slice(i, i + BATCH_LIMIT).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+}
+
+/**
+ * Storage paths of a post's media. Older posts only have a download URL,
+ * so the path is recovered from it.
+ */
+function postMediaPaths(postData) {
+  if (Array.isArray(postData.media) && postData.media.length > 0) {
+    return postData.media.flatMap(item => [item.path, item.posterPath]).filter(Boolean);
+  }
+  
+  if (postData.mediaPath) {
+    return [postData.mediaPath];
+  }
+  
+  const match = /\/o\/([^?]+)/.exec(postData.mediaURL || '');
+  return match ? [decodeURIComponent(match[1])] : [];
+}
+
+/**
+ * Storage path of one resized variant of an upload
+ */
+function variantPath(sourcePath, size) {
+  return `variants/${sourcePath}_${size}.jpg`;
+}
+
+/**
+ * Source paths plus every variant that may have been generated for them
+ */
+function withVariantPaths(paths) {
+  return paths.flatMap(path => [
+    path,
+    ...Object.keys(VARIANT_WIDTHS).map(size => variantPath(path, size))
+  ]);
+}
+
+function variantDocId(sourcePath) {
+  return sourcePath.replace(/\//g, '__');
+}
+
+/**
+ * Resizes an image into every variant width and encodes its blurhash
+ */
+async function buildImageVariants(bucket, sourcePath, original) {
+  const variants = {};
+  
+  for (const [size, width] of Object.entries(VARIANT_WIDTHS)) {
+    const buffer = await sharp(original)
+      .rotate() // apply EXIF orientation
+      .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 80, progressive: true })
+      .toBuffer();
+    
+    const path = variantPath(sourcePath, size);
+    const token = crypto.randomUUID();
+    await bucket.file(path).save(buffer, {
+      contentType: 'image/jpeg',
+      metadata: {
+        cacheControl: 'public, max-age=31536000',
+        metadata: { firebaseStorageDownloadTokens: token }
+      }
+    });
+    
+    variants[`${size}URL`] = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/` +
+      `${encodeURIComponent(path)}?alt=media&token=${token}`;
+  }
+  
+  const { data, info } = await sharp(original)
+    .rotate()
+    .resize(32, 32, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  variants.blurhash = encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+  
+  return variants;
+}
+
+/**
+ * Merges variants into the matching items of a post's media list
+ * @param {object} variantsByPath - { [sourcePath]: variants }
+ */
+async function attachPostVariants(postRef, variantsByPath) {
+  await db.runTransaction(async (transaction) => {
+    const postDoc = await transaction.get(postRef);
+    if (!postDoc.exists) return;
+    
+    // A video's variants come from its poster frame
+    const media = (postDoc.data().media || []).map(item => {
+      const variants = variantsByPath[item.path] || variantsByPath[item.posterPath];
+      return variants ? { ...item, ...variants } : item;
+    });
+    transaction.update(postRef, { media });
+  });
+}
+
+/**
+ * Whether a comment contains one of the post owner's muted keywords.
+ * The owner's own comments are never hidden.
+ */
+function isMutedComment(commentData, ownerId, mutedKeywords) {
+  if (commentData.userId === ownerId) return false;
+  
+  const text = (commentData.text || '').toLowerCase();
+  return mutedKeywords.some(keyword => keyword && text.includes(keyword));
+}
+
+/**
+ * Helper to delete every document in a (sub)collection
+ */
+async function deleteSubcollection(collectionRef) {
+  while (true) {
+    const snapshot = await collectionRef.limit(BATCH_LIMIT).get();
+    if (snapshot.empty) break;
+    
+    await deleteInBatches(snapshot.docs.map(doc => doc.ref));
+  }
+}
+
+/**
+ * Builds the notification text for a chat message
+ */
+function messageBody(messageData) {
+  if (messageData.type === 'post') {
+    return 'Shared a post with you';
+  }
+  
+  return truncateText(messageData.text);
+}
+
+// How each kind of mention reads in notifications
+const MENTION_SOURCE_LABELS = {
+  post: 'a post',
+  comment: 'a comment',
+  message: 'a message'
+};
+
+/**
+ * Whether a user's settings.mentions lets the author mention them.
+ * followsAuthor is whether the mentioned user follows the author.
+ */
+function allowsMentionFrom(settings, followsAuthor) {
+  const setting = (settings && settings.mentions) || 'everyone';
+  if (setting === 'nobody') return false;
+  if (setting === 'following') return followsAuthor;
+  return true;
+}
+
+/**
+ * Adds an activity entry and sends a push notification to every mentioned
+ * user whose mention setting allows it
+ * @param {object} target - { source, postId?, commentId?, chatId?, text }
+ */
+async function notifyMentions(actorId, mentionedIds, target) {
+  const recipientIds = [...new Set(mentionedIds)].filter(id => id && id !== actorId);
+  if (recipientIds.length === 0) return;
+  
+  const actorDoc = await db.collection('users').doc(actorId).get();
+  const actorName = actorDoc.exists ? actorDoc.data().username : 'Someone';
+  const { text, ...targetFields } = target;
+  
+  await Promise.all(recipientIds.map(async (recipientId) => {
+    const recipientRef = db.collection('users').doc(recipientId);
+    const [recipientDoc, followDoc] = await Promise.all([
+      recipientRef.get(),
+      recipientRef.collection('following').doc(actorId).get()
+    ]);
+    if (!recipientDoc.exists) return;
+    
+    const recipientData = recipientDoc.data();
+    if (!allowsMentionFrom(recipientData.settings, followDoc.exists)) return;
+    
+    await addActivity(recipientId, {
+      type: 'mention',
+      actorId,
+      ...targetFields,
+      preview: truncateText(text)
+    });
+    
+    if (!recipientData.pushToken || !recipientData.settings?.notifications) return;
+    
+    await sendPushNotification({
+      to: recipientData.pushToken,
+      sound: 'default',
+      title: `${actorName} mentioned you in ${MENTION_SOURCE_LABELS[target.source]}`,
+      body: truncateText(text),
+      data: { type: 'mention', ...targetFields }
+    });
+  }));
+}
+
+/**
+ * Adds an entry to a user's activity feed
+ */
+async function addActivity(userId, entry) {
+  await db.collection('users').doc(userId).collection('activity').add({
+    ...entry,
+    read: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+function truncateText(text) {
+  const value = text || '';
+  return value.length > 50 ? value.substring(0, 50) + '...' : value;
+}
+
 /**
  * Helper function to send push notifications
  */
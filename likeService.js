@@ -0,0 +1,116 @@
+/**
+ * Like Service
+ * Likes live in posts/{postId}/likes/{uid}; the post's likeCount is kept
+ * up to date by a Cloud Function. Posts that haven't been migrated yet
+ * still carry a `likes` array of uids, which is read as a fallback.
+ */
+
+import {
+  collection,
+  doc,
+  query,
+  orderBy,
+  limit,
+  startAfter,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  arrayRemove,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { attachUsers } from './userResolver';
+
+const likeRef = (postId, uid) => doc(db, 'posts', postId, 'likes', uid);
+
+const hasLegacyLikes = (post) => Array.isArray(post.likes);
+
+export const getLikeCount = (post) =>
+  hasLegacyLikes(post) ? post.likes.length : post.likeCount || 0;
+
+export const isPostLikedBy = async (post, uid) => {
+  if (hasLegacyLikes(post) && post.likes.includes(uid)) return true;
+
+  const likeDoc = await getDoc(likeRef(post.id, uid));
+  return likeDoc.exists();
+};
+
+// `type` tells post likes apart from comment likes in collection group queries
+export const likePost = (post, uid) =>
+  setDoc(likeRef(post.id, uid), {
+    type: 'post',
+    userId: uid,
+    postAuthorId: post.userId,
+    createdAt: serverTimestamp()
+  });
+
+/**
+ * Removes the like, from the legacy array too on posts that haven't been
+ * migrated yet
+ */
+export const unlikePost = async (post, uid) => {
+  await deleteDoc(likeRef(post.id, uid));
+
+  if (hasLegacyLikes(post) && post.likes.includes(uid)) {
+    await updateDoc(doc(db, 'posts', post.id), { likes: arrayRemove(uid) });
+  }
+};
+
+/**
+ * One page of the users who liked a post, most recent first
+ * @param {object} post - post document data with id
+ * @param {*} cursor - value returned by the previous page, or null
+ * @returns {Promise<{ userIds: string[], cursor: *, hasMore: boolean }>}
+ */
+export const fetchLikersPage = async (post, cursor, pageSize) => {
+  if (hasLegacyLikes(post)) {
+    // arrayUnion appends, so the newest likes are at the end
+    const likerIds = [...post.likes].reverse();
+    const start = cursor || 0;
+    const end = start + pageSize;
+
+    return {
+      userIds: likerIds.slice(start, end),
+      cursor: end,
+      hasMore: end < likerIds.length
+    };
+  }
+
+  let likesQuery = query(
+    collection(db, 'posts', post.id, 'likes'),
+    orderBy('createdAt', 'desc'),
+    limit(pageSize)
+  );
+  if (cursor) {
+    likesQuery = query(likesQuery, startAfter(cursor));
+  }
+
+  const snapshot = await getDocs(likesQuery);
+  return {
+    userIds: snapshot.docs.map(docSnap => docSnap.id),
+    cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+    hasMore: snapshot.docs.length === pageSize
+  };
+};
+
+/**
+ * Attaches post.topLiker, the profile of each post's most recent liker,
+ * to a page of posts. Profiles for the whole page are resolved in one batch.
+ */
+export const attachTopLikers = async (posts) => {
+  const withLikerIds = await Promise.all(posts.map(async (post) => {
+    if (getLikeCount(post) === 0) return post;
+
+    try {
+      const { userIds } = await fetchLikersPage(post, null, 1);
+      return { ...post, topLikerId: userIds[0] || null };
+    } catch (error) {
+      console.error('Error loading top liker:', error);
+      return post;
+    }
+  }));
+
+  return attachUsers(withLikerIds, 'topLikerId', 'topLiker');
+};
@@ -0,0 +1,184 @@
+/**
+ * Mentions
+ * @username parsing, autocomplete lookups and resolving usernames to uids
+ */
+
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  limit,
+  getDocs
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { chunk, IN_QUERY_LIMIT } from './feedService';
+import { fetchRelationships } from './followService';
+import { getUsers } from './userResolver';
+import { splitHashtags } from './hashtags';
+
+// Usernames are letters, digits, dots and underscores
+const MENTION_PATTERN = /@([A-Za-z0-9._]+)/g;
+// The "@query" being typed right before the cursor
+const ACTIVE_MENTION_PATTERN = /(^|\s)@([A-Za-z0-9._]*)$/;
+
+const MAX_MENTIONS = 20;
+const MAX_SUGGESTIONS = 8;
+
+// Who may mention a user, stored in settings.mentions
+export const MENTION_SETTINGS = [
+  { key: 'everyone', label: 'Everyone' },
+  { key: 'following', label: 'People you follow' },
+  { key: 'nobody', label: 'No one' },
+];
+
+// A trailing dot usually ends the sentence rather than the username
+const cleanUsername = (username) => username.replace(/\.+$/, '');
+
+/**
+ * Unique usernames mentioned in the text, as typed
+ */
+export const extractMentionUsernames = (text) => {
+  const usernames = [...(text || '').matchAll(MENTION_PATTERN)]
+    .map(match => cleanUsername(match[1]))
+    .filter(Boolean);
+
+  return [...new Set(usernames)].slice(0, MAX_MENTIONS);
+};
+
+/**
+ * The mention being typed at the cursor, or null
+ * @returns {object|null} { query, start, end } where start is the index of the "@"
+ */
+export const findActiveMention = (text, cursor) => {
+  const match = (text || '').slice(0, cursor).match(ACTIVE_MENTION_PATTERN);
+  if (!match) return null;
+
+  return {
+    query: match[2].toLowerCase(),
+    start: cursor - match[2].length - 1,
+    end: cursor,
+  };
+};
+
+/**
+ * Replaces the active "@query" with the full username
+ * @returns {object} { text, cursor }
+ */
+export const insertMention = (text, activeMention, username) => {
+  const inserted = `@${username} `;
+  return {
+    text: text.slice(0, activeMention.start) + inserted + text.slice(activeMention.end),
+    cursor: activeMention.start + inserted.length,
+  };
+};
+
+/**
+ * Whether the author may mention a user with these settings.
+ * followsAuthor is whether the mentioned user follows the author.
+ */
+export const allowsMentionFrom = (settings, followsAuthor) => {
+  const setting = settings?.mentions || 'everyone';
+  if (setting === 'nobody') return false;
+  if (setting === 'following') return followsAuthor;
+  return true;
+};
+
+/**
+ * Autocomplete candidates for "@query", people the user follows first.
+ * Accounts that don't accept mentions from the user are left out.
+ */
+export const searchMentionCandidates = async (uid, mentionQuery) => {
+  let candidates;
+
+  if (mentionQuery) {
+    const snapshot = await getDocs(query(
+      collection(db, 'users'),
+      where('username', '>=', mentionQuery),
+      where('username', '<=', mentionQuery + '\uf8ff'),
+      limit(20)
+    ));
+    candidates = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+  } else {
+    // Nothing typed yet: suggest recently followed accounts
+    const followingSnapshot = await getDocs(query(
+      collection(db, 'users', uid, 'following'),
+      orderBy('createdAt', 'desc'),
+      limit(MAX_SUGGESTIONS)
+    ));
+    const profiles = await getUsers(followingSnapshot.docs.map(docSnap => docSnap.id));
+    candidates = [...profiles.entries()]
+      .filter(([, profile]) => profile)
+      .map(([id, profile]) => ({ ...profile, id }));
+  }
+
+  candidates = candidates.filter(candidate => candidate.id !== uid && candidate.username);
+  const relationships = await fetchRelationships(uid, candidates.map(candidate => candidate.id));
+
+  const allowed = candidates
+    .map(candidate => ({ ...candidate, ...relationships.get(candidate.id) }))
+    .filter(candidate => allowsMentionFrom(candidate.settings, !!candidate.followedBy));
+
+  return [
+    ...allowed.filter(candidate => candidate.following),
+    ...allowed.filter(candidate => !candidate.following),
+  ].slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Looks up the uids of the usernames mentioned in the text. Unknown
+ * usernames are left as plain text.
+ * @returns {Promise<Array>} [{ userId, username }]
+ */
+export const resolveMentions = async (text) => {
+  const typed = extractMentionUsernames(text);
+  if (typed.length === 0) return [];
+
+  // Search stores usernames in lowercase, but older accounts may not be
+  const usernames = [...new Set([...typed, ...typed.map(username => username.toLowerCase())])];
+
+  const snapshots = await Promise.all(chunk(usernames, IN_QUERY_LIMIT).map(usernameChunk =>
+    getDocs(query(collection(db, 'users'), where('username', 'in', usernameChunk)))
+  ));
+
+  return snapshots.flatMap(snapshot => snapshot.docs.map(docSnap => ({
+    userId: docSnap.id,
+    username: docSnap.data().username,
+  })));
+};
+
+/**
+ * Splits text into plain, hashtag and mention parts for rendering. Only
+ * usernames that were resolved when the text was written become links.
+ * @returns {Array} [{ text, hashtag, mention }] where mention is { userId, username } or null
+ */
+export const splitLinks = (text, mentions = []) => {
+  const mentionsByUsername = new Map(
+    mentions.map(mention => [mention.username.toLowerCase(), mention])
+  );
+
+  return splitHashtags(text).flatMap(part => {
+    if (part.hashtag || mentionsByUsername.size === 0) {
+      return [{ ...part, mention: null }];
+    }
+
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of part.text.matchAll(MENTION_PATTERN)) {
+      const mention = mentionsByUsername.get(cleanUsername(match[1]).toLowerCase());
+      if (!mention) continue;
+
+      if (match.index > lastIndex) {
+        parts.push({ text: part.text.slice(lastIndex, match.index), hashtag: null, mention: null });
+      }
+      const length = cleanUsername(match[1]).length + 1;
+      parts.push({ text: part.text.slice(match.index, match.index + length), hashtag: null, mention });
+      lastIndex = match.index + length;
+    }
+
+    if (lastIndex < part.text.length) {
+      parts.push({ text: part.text.slice(lastIndex), hashtag: null, mention: null });
+    }
+    return parts;
+  });
+};
@@ -0,0 +1,227 @@
+/**
+ * Data Migrations
+ * One-off scripts for reshaping existing Firestore data, run from the
+ * functions directory with admin credentials:
+ *
+ *   GOOGLE_APPLICATION_CREDENTIALS=key.json node migrations.js <name> [--dry-run]
+ *
+ * Every migration is safe to re-run; documents already migrated are skipped.
+ */
+
+const admin = require('firebase-admin');
+
+admin.initializeApp();
+
+const db = admin.firestore();
+
+const PAGE_SIZE = 200;
+const BATCH_LIMIT = 450;
+// Matches the backfillTimelineOnFollow function
+const TIMELINE_BACKFILL_COUNT = 20;
+
+/**
+ * Pages through a collection in document id order
+ */
+async function forEachDocument(collectionRef, handleDoc) {
+  let lastDoc = null;
+
+  while (true) {
+    let pageQuery = collectionRef
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const snapshot = await pageQuery.get();
+    if (snapshot.empty) break;
+
+    for (const docSnap of snapshot.docs) {
+      await handleDoc(docSnap);
+    }
+
+    if (snapshot.size < PAGE_SIZE) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Moves posts/{id}.likes (array of uids) into posts/{id}/likes/{uid}
+ * and replaces it with likeCount. Copied likes carry `migrated: true` so
+ * the updateLikeCount function doesn't count them a second time.
+ */
+async function likesToSubcollection({ dryRun }) {
+  let migratedPosts = 0;
+  let migratedLikes = 0;
+
+  await forEachDocument(db.collection('posts'), async (postDoc) => {
+    const postData = postDoc.data();
+    if (!Array.isArray(postData.likes)) return;
+
+    const likerIds = [...new Set(postData.likes)];
+    migratedPosts += 1;
+    migratedLikes += likerIds.length;
+
+    if (dryRun) return;
+
+    // Likes made after the new storage shipped are already in the subcollection
+    const existingSnapshot = await postDoc.ref.collection('likes').select().get();
+    const existingIds = existingSnapshot.docs.map(likeDoc => likeDoc.id);
+
+    for (let i = 0; i < likerIds.length; i += BATCH_LIMIT) {
+      const batch = db.batch();
+      likerIds.slice(i, i + BATCH_LIMIT).forEach(likerId => {
+        batch.set(postDoc.ref.collection('likes').doc(likerId), {
+          type: 'post',
+          userId: likerId,
+          postAuthorId: postData.userId,
+          createdAt: postData.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+          migrated: true
+        });
+      });
+      await batch.commit();
+    }
+
+    // The array goes last so an interrupted run picks the post up again
+    await postDoc.ref.update({
+      likeCount: new Set([...likerIds, ...existingIds]).size,
+      likes: admin.firestore.FieldValue.delete()
+    });
+  });
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migratedLikes} likes on ${migratedPosts} posts`);
+}
+
+/**
+ * Gives comments written before replies, comment likes and hidden words
+ * existed parentId: null, likeCount: 0 and hidden: false, so the comment
+ * queries (parentId == null, hidden == false, and Top's order by
+ * likeCount) find them
+ */
+async function commentParentIds({ dryRun }) {
+  let migratedComments = 0;
+
+  await forEachDocument(db.collection('posts'), async (postDoc) => {
+    let batch = db.batch();
+    let batchSize = 0;
+
+    await forEachDocument(postDoc.ref.collection('comments'), async (commentDoc) => {
+      const commentData = commentDoc.data();
+      const update = {};
+      if (commentData.parentId === undefined) {
+        Object.assign(update, { parentId: null, replyCount: 0 });
+      }
+      if (commentData.likeCount === undefined) {
+        update.likeCount = 0;
+      }
+      if (commentData.hidden === undefined) {
+        update.hidden = false;
+      }
+      if (Object.keys(update).length === 0) return;
+
+      migratedComments += 1;
+      if (dryRun) return;
+
+      batch.update(commentDoc.ref, update);
+      batchSize += 1;
+      if (batchSize === BATCH_LIMIT) {
+        await batch.commit();
+        batch = db.batch();
+        batchSize = 0;
+      }
+    });
+
+    if (batchSize > 0) {
+      await batch.commit();
+    }
+  });
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migratedComments} comments`);
+}
+
+/**
+ * Fills users/{uid}/timeline for follows made before timelines existed,
+ * the way the backfillTimelineOnFollow function does for new follows:
+ * each followed account's latest posts, plus the user's own. Accounts on
+ * the pull feed are marked on the follow instead.
+ */
+async function backfillTimelines({ dryRun }) {
+  const authorEntries = new Map();
+  let backfilledUsers = 0;
+  let writeCount = 0;
+
+  // Timeline references to an author's latest posts, or null for pull authors
+  const latestEntries = async (authorId) => {
+    if (authorEntries.has(authorId)) return authorEntries.get(authorId);
+
+    const authorDoc = await db.collection('users').doc(authorId).get();
+    let entries = null;
+    if (!authorDoc.exists || !authorDoc.data().pullFeed) {
+      const postsSnapshot = await db.collection('posts')
+        .where('userId', '==', authorId)
+        .orderBy('createdAt', 'desc')
+        .limit(TIMELINE_BACKFILL_COUNT)
+        .get();
+      entries = postsSnapshot.docs.map(postDoc => ({
+        postId: postDoc.id,
+        authorId,
+        createdAt: postDoc.data().createdAt
+      }));
+    }
+
+    authorEntries.set(authorId, entries);
+    return entries;
+  };
+
+  await forEachDocument(db.collection('users'), async (userDoc) => {
+    const followingSnapshot = await userDoc.ref.collection('following').get();
+    const writes = [];
+
+    for (const authorId of [userDoc.id, ...followingSnapshot.docs.map(followDoc => followDoc.id)]) {
+      const entries = await latestEntries(authorId);
+      if (entries) {
+        entries.forEach(entry => writes.push([userDoc.ref.collection('timeline').doc(entry.postId), entry]));
+      } else if (authorId !== userDoc.id) {
+        writes.push([userDoc.ref.collection('following').doc(authorId), { pull: true }]);
+      }
+    }
+
+    if (writes.length === 0) return;
+    backfilledUsers += 1;
+    writeCount += writes.length;
+    if (dryRun) return;
+
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+      const batch = db.batch();
+      writes.slice(i, i + BATCH_LIMIT).forEach(([ref, data]) => {
+        batch.set(ref, data, { merge: true });
+      });
+      await batch.commit();
+    }
+  });
+
+  console.log(`${dryRun ? 'Would make' : 'Made'} ${writeCount} timeline writes for ${backfilledUsers} users`);
+}
+
+const MIGRATIONS = {
+  backfillTimelines,
+  likesToSubcollection,
+  commentParentIds,
+};
+
+async function main() {
+  const [name, ...flags] = process.argv.slice(2);
+  const migration = MIGRATIONS[name];
+
+  if (!migration) {
+    console.error(`Usage: node migrations.js <${Object.keys(MIGRATIONS).join('|')}> [--dry-run]`);
+    process.exit(1);
+  }
+
+  await migration({ dryRun: flags.includes('--dry-run') });
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
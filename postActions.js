@@ -0,0 +1,105 @@
+/**
+ * Post Actions
+ * Owner and viewer actions available from the post overflow menu
+ */
+
+import {
+  collection,
+  doc,
+  addDoc,
+  setDoc,
+  updateDoc,
+  getDocs,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../firebase';
+import { extractHashtags } from './hashtags';
+import { resolveMentions } from './mentions';
+
+export const POST_LINK_PREFIX = 'riseup://post/';
+
+export const getPostLink = (postId) => `${POST_LINK_PREFIX}${postId}`;
+
+/**
+ * @returns {Promise<Array>} the mentions resolved from the new caption
+ */
+export const updateCaption = async (postId, caption) => {
+  const mentions = await resolveMentions(caption);
+  await updateDoc(doc(db, 'posts', postId), {
+    caption: caption.trim(),
+    hashtags: extractHashtags(caption),
+    mentions,
+    editedAt: serverTimestamp()
+  });
+  return mentions;
+};
+
+/**
+ * The user's posts waiting to be published, soonest first
+ */
+export const fetchScheduledPosts = async (uid) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'posts'),
+    where('userId', '==', uid),
+    where('status', '==', 'scheduled')
+  ));
+
+  return snapshot.docs
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => a.publishAt.toMillis() - b.publishAt.toMillis());
+};
+
+// Posts can't be scheduled closer than this, so the publisher can't miss them
+export const MIN_SCHEDULE_LEAD_MS = 5 * 60 * 1000;
+
+export const isValidPublishTime = (date) =>
+  date.getTime() >= Date.now() + MIN_SCHEDULE_LEAD_MS;
+
+export const updateScheduledPost = async (postId, { caption, publishAt }) =>
+  updateDoc(doc(db, 'posts', postId), {
+    caption: caption.trim(),
+    hashtags: extractHashtags(caption),
+    mentions: await resolveMentions(caption),
+    publishAt
+  });
+
+/**
+ * @param {string} commentSetting - a COMMENT_SETTINGS key from comments
+ */
+export const setCommentSetting = (postId, commentSetting) =>
+  updateDoc(doc(db, 'posts', postId), { commentSetting });
+
+export const setPostArchived = (postId, archived) =>
+  updateDoc(doc(db, 'posts', postId), {
+    archived,
+    archivedAt: archived ? serverTimestamp() : null
+  });
+
+/**
+ * Deletes the post, its media, comments and counters on the server so
+ * the cleanup can't be left half-done by a closed app
+ */
+export const deletePost = async (postId) => {
+  const deletePostCallable = httpsCallable(functions, 'deletePost');
+  await deletePostCallable({ postId });
+};
+
+export const reportPost = (postId, post, reporterId, reason) =>
+  addDoc(collection(db, 'reports'), {
+    type: 'post',
+    postId,
+    reportedUserId: post.userId,
+    reporterId,
+    reason,
+    createdAt: serverTimestamp()
+  });
+
+export const markNotInterested = (uid, postId, post) =>
+  setDoc(doc(db, 'users', uid, 'notInterested', postId), {
+    postId,
+    authorId: post.userId,
+    createdAt: serverTimestamp()
+  });
@@ -0,0 +1,171 @@
+/**
+ * Post Drafts
+ * Unfinished posts kept on the device. Picked media is copied out of the
+ * picker's cache into the documents directory so drafts survive restarts.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+
+const DRAFTS_DIR = `${FileSystem.documentDirectory}drafts/`;
+
+const draftsKey = (uid) => `postDrafts_${uid}`;
+const draftDir = (draftId) => `${DRAFTS_DIR}${draftId}/`;
+
+export const createDraftId = () =>
+  `${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+// Copied files are stored relative to DRAFTS_DIR, since the documents
+// directory moves when the app is updated on iOS
+const toStoredPath = (uri) =>
+  uri && uri.startsWith(DRAFTS_DIR) ? uri.slice(DRAFTS_DIR.length) : uri;
+
+const toFileUri = (path) =>
+  path && !path.includes('://') ? `${DRAFTS_DIR}${path}` : path;
+
+const mapMediaPaths = (drafts, mapPath) => drafts.map(draft => ({
+  ...draft,
+  media: draft.media.map(item => ({
+    ...item,
+    uri: mapPath(item.uri),
+    posterUri: mapPath(item.posterUri),
+  })),
+}));
+
+const readDrafts = async (uid) => {
+  const saved = await AsyncStorage.getItem(draftsKey(uid));
+  return saved ? mapMediaPaths(JSON.parse(saved), toFileUri) : [];
+};
+
+const writeDrafts = (uid, drafts) =>
+  AsyncStorage.setItem(draftsKey(uid), JSON.stringify(mapMediaPaths(drafts, toStoredPath)));
+
+// Loading, saving and deleting all rewrite the stored list, so they run
+// one at a time; otherwise an autosave during a load could be lost
+let pendingWrite = Promise.resolve();
+const serialized = (task) => {
+  const run = pendingWrite.then(task, task);
+  pendingWrite = run.catch(() => {});
+  return run;
+};
+
+const fileExists = async (uri) => {
+  if (!uri) return false;
+  try {
+    const info = await FileSystem.getInfoAsync(uri);
+    return info.exists;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Copies a file into the draft's folder unless it is already there
+ * @param {Map} copies - original uri -> copy made by an earlier save
+ */
+const persistFile = async (draftId, uri, copies) => {
+  if (!uri || uri.startsWith(draftDir(draftId))) return uri;
+  if (copies.has(uri) && await fileExists(copies.get(uri))) return copies.get(uri);
+
+  await FileSystem.makeDirectoryAsync(draftDir(draftId), { intermediates: true });
+  const name = uri.split('/').pop().split('?')[0];
+  const target = `${draftDir(draftId)}${Date.now()}_${name}`;
+  await FileSystem.copyAsync({ from: uri, to: target });
+  return target;
+};
+
+/**
+ * Drafts for the user, newest first. Media whose local file has gone
+ * missing is dropped, and drafts left with nothing in them are deleted.
+ */
+export const loadDrafts = (uid) => serialized(async () => {
+  try {
+    const drafts = await readDrafts(uid);
+
+    const checked = await Promise.all(drafts.map(async (draft) => {
+      const media = [];
+      for (const item of draft.media) {
+        if (!await fileExists(item.uri)) continue;
+
+        const posterExists = await fileExists(item.posterUri);
+        media.push({ ...item, posterUri: posterExists ? item.posterUri : null });
+      }
+
+      return { ...draft, media };
+    }));
+
+    const kept = checked.filter(draft => draft.media.length > 0 || draft.caption.trim());
+    const removed = checked.filter(draft => !kept.includes(draft));
+    await Promise.all(removed.map(draft =>
+      FileSystem.deleteAsync(draftDir(draft.id), { idempotent: true })
+    ));
+
+    await writeDrafts(uid, kept);
+    return kept.sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (error) {
+    console.error('Error loading drafts:', error);
+    return [];
+  }
+});
+
+export const getDraft = async (uid, draftId) => {
+  const drafts = await loadDrafts(uid);
+  return drafts.find(draft => draft.id === draftId) || null;
+};
+
+/**
+ * Creates or replaces a draft
+ * @param {object} draft - { id, media, caption }
+ * @returns {Promise<object>} the saved draft, with media pointing at the copied files
+ */
+export const saveDraft = (uid, draft) => serialized(async () => {
+  const drafts = await readDrafts(uid);
+  const previous = drafts.find(existing => existing.id === draft.id);
+
+  // The editor keeps using the picker's uris, so remember what they were copied to
+  const copies = new Map();
+  (previous?.media || []).forEach(item => {
+    copies.set(item.sourceUri, item.uri);
+    copies.set(item.sourcePosterUri, item.posterUri);
+  });
+
+  const media = [];
+  for (const item of draft.media) {
+    media.push({
+      ...item,
+      uri: await persistFile(draft.id, item.uri, copies),
+      posterUri: await persistFile(draft.id, item.posterUri, copies),
+      sourceUri: item.sourceUri || item.uri,
+      sourcePosterUri: item.sourcePosterUri || item.posterUri || null,
+    });
+  }
+
+  const saved = { ...draft, media, updatedAt: Date.now() };
+  await writeDrafts(uid, [saved, ...drafts.filter(existing => existing.id !== draft.id)]);
+  await removeUnusedFiles(saved);
+
+  return saved;
+});
+
+/**
+ * Deletes copies of media that was removed from the draft
+ */
+const removeUnusedFiles = async (draft) => {
+  try {
+    const used = new Set(draft.media.flatMap(item => [item.uri, item.posterUri]));
+    const names = await FileSystem.readDirectoryAsync(draftDir(draft.id));
+
+    await Promise.all(names
+      .map(name => `${draftDir(draft.id)}${name}`)
+      .filter(uri => !used.has(uri))
+      .map(uri => FileSystem.deleteAsync(uri, { idempotent: true })));
+  } catch (error) {
+    // No folder yet means there is nothing to clean up
+  }
+};
+
+export const deleteDraft = (uid, draftId) => serialized(async () => {
+  const drafts = await readDrafts(uid);
+  await writeDrafts(uid, drafts.filter(draft => draft.id !== draftId));
+  await FileSystem.deleteAsync(draftDir(draftId), { idempotent: true });
+});
@@ -0,0 +1,59 @@
+/**
+ * Post Media
+ * Reads a post's media list, whether it is a carousel post with `media[]`
+ * or an older post with a single mediaURL/mediaType
+ */
+
+import { pickVariantURL, getBlurhash } from './imageVariants';
+
+export const MAX_POST_MEDIA = 10;
+
+/**
+ * @returns {Array} [{ url, path, type, width, height, thumbnailURL }], plus
+ *   mediumURL, fullURL and blurhash once the server has made the variants.
+ *   Videos also have duration (seconds) and posterPath, and their
+ *   thumbnail and variants come from the poster frame.
+ */
+export const getPostMedia = (post) => {
+  if (Array.isArray(post?.media) && post.media.length > 0) {
+    return post.media;
+  }
+
+  if (!post?.mediaURL) return [];
+
+  return [{
+    url: post.mediaURL,
+    path: post.mediaPath || null,
+    type: post.mediaType || 'image',
+    width: null,
+    height: null,
+    thumbnailURL: null,
+  }];
+};
+
+export const getCoverMedia = (post) => getPostMedia(post)[0] || null;
+
+export const isMultiMedia = (post) => getPostMedia(post).length > 1;
+
+/**
+ * Image URL for a media item drawn at displaySize points. Videos fall
+ * back to their poster frame.
+ */
+export const getMediaImageURL = (item, displaySize) =>
+  pickVariantURL(item, displaySize, item.thumbnailURL || item.url);
+
+/**
+ * Image URL suitable for grid tiles and previews
+ */
+export const getCoverImageURL = (post, displaySize) => {
+  const cover = getCoverMedia(post);
+  return cover ? getMediaImageURL(cover, displaySize) : null;
+};
+
+export const formatDuration = (seconds) => {
+  const total = Math.round(seconds || 0);
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+};
+
+export const getCoverBlurhash = (post) => getBlurhash(getCoverMedia(post));
@@ -0,0 +1,16 @@
+/**
+ * Post Status
+ * Whether a post is visible yet. Kept free of imports so feeds, hashtags
+ * and tags can use it without pulling in each other.
+ */
+
+/**
+ * Posts created before scheduling existed have no status and are published
+ */
+export const isPublished = (post) => (post.status || 'published') === 'published';
+
+/**
+ * Whether a post shows in feeds, hashtag pages and other people's views:
+ * published and not archived by its owner
+ */
+export const isVisiblePost = (post) => isPublished(post) && !post.archived;
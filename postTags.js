@@ -0,0 +1,65 @@
+/**
+ * Post Tags
+ * People tagged at points on a post's photos. Each image carries
+ * tags [{ userId, username, x, y }] with x/y from 0 to 1; the post keeps
+ * taggedUserIds for the tagged grid and pendingTagUserIds for tags that
+ * wait for the tagged user's approval.
+ */
+
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  getDocs
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../firebase';
+import { isVisiblePost } from './postStatus';
+
+export const MAX_TAGS_PER_IMAGE = 20;
+
+export const getTaggedUserIds = (media) =>
+  [...new Set(media.flatMap(item => (item.tags || []).map(tag => tag.userId)))];
+
+/**
+ * Post fields for the tags in its media. With approval on, every tag
+ * starts pending and only shows on profiles once accepted.
+ */
+export const buildTagFields = (media, tagApproval) => {
+  const userIds = getTaggedUserIds(media);
+  return {
+    tagApproval,
+    taggedUserIds: tagApproval ? [] : userIds,
+    pendingTagUserIds: tagApproval ? userIds : [],
+  };
+};
+
+/**
+ * 'pending', 'tagged' or null for the given user
+ */
+export const getTagStatus = (post, uid) => {
+  if ((post.pendingTagUserIds || []).includes(uid)) return 'pending';
+  if ((post.taggedUserIds || []).includes(uid)) return 'tagged';
+  return null;
+};
+
+/**
+ * Approves a pending tag, or removes the user's tag from the post
+ */
+export const respondToTag = async (postId, approve) => {
+  const respondToTagCallable = httpsCallable(functions, 'respondToTag');
+  await respondToTagCallable({ postId, approve });
+};
+
+export const fetchTaggedPosts = async (uid) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'posts'),
+    where('taggedUserIds', 'array-contains', uid),
+    orderBy('createdAt', 'desc')
+  ));
+
+  return snapshot.docs
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    .filter(isVisiblePost);
+};
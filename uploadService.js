@@ -0,0 +1,174 @@
+/**
+ * Upload Service
+ * Resumable media uploads with progress, cancel, retry with backoff and
+ * pause/resume around app backgrounding
+ */
+
+import { AppState } from 'react-native';
+import {
+  ref,
+  uploadBytesResumable,
+  getDownloadURL,
+  deleteObject
+} from 'firebase/storage';
+import {
+  collection,
+  doc,
+  setDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db, storage } from '../firebase';
+
+const MAX_ATTEMPTS = 4;
+const BASE_RETRY_DELAY = 1000;
+
+// Errors that retrying won't fix
+const FATAL_ERROR_CODES = [
+  'storage/canceled',
+  'storage/unauthorized',
+  'storage/unauthenticated',
+  'storage/quota-exceeded',
+];
+
+export const isUploadCanceled = (error) => error?.code === 'storage/canceled';
+
+const canceledError = () =>
+  Object.assign(new Error('Upload canceled'), { code: 'storage/canceled' });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Uploads several local files under posts/{uid}/ one after another.
+ * Paths are recorded in users/{uid}/pendingUploads/{batchId} before any
+ * bytes are sent, so a scheduled function can remove files from batches
+ * that never became a post.
+ *
+ * @param {string} uid
+ * @param {Array} items - [{ uri }]
+ * @param {Function} onProgress - called with { index, count, fraction }
+ * @returns {object} { batchRef, start(), cancel() }. start() resolves to
+ *   [{ url, path }] in item order and can be called again after a failure
+ *   to continue from the first file that didn't finish.
+ */
+export const createUploadBatch = (uid, items, onProgress) => {
+  const batchRef = doc(collection(db, 'users', uid, 'pendingUploads'));
+  const paths = items.map(() =>
+    `posts/${uid}/${Date.now()}_${Math.random().toString(36).substring(7)}`
+  );
+  const results = new Array(items.length).fill(null);
+
+  let currentTask = null;
+  let canceled = false;
+  let manifestWritten = false;
+
+  const reportProgress = (index, itemFraction) => {
+    if (canceled) return;
+
+    onProgress?.({
+      index,
+      count: items.length,
+      fraction: (index + itemFraction) / items.length,
+    });
+  };
+
+  const uploadOnce = async (index) => {
+    const response = await fetch(items[index].uri);
+    const blob = await response.blob();
+    const storageRef = ref(storage, paths[index]);
+
+    if (canceled) {
+      throw canceledError();
+    }
+
+    currentTask = uploadBytesResumable(storageRef, blob);
+
+    // Requests die while the app is suspended, so pause instead of failing
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (!currentTask) return;
+      if (state === 'active') {
+        currentTask.resume();
+      } else if (state === 'background') {
+        currentTask.pause();
+      }
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        currentTask.on(
+          'state_changed',
+          (snapshot) => {
+            if (snapshot.totalBytes > 0) {
+              reportProgress(index, snapshot.bytesTransferred / snapshot.totalBytes);
+            }
+          },
+          reject,
+          resolve
+        );
+      });
+    } finally {
+      appStateSubscription.remove();
+      currentTask = null;
+    }
+
+    return { url: await getDownloadURL(storageRef), path: paths[index] };
+  };
+
+  const uploadWithRetry = async (index) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await uploadOnce(index);
+      } catch (error) {
+        if (canceled || FATAL_ERROR_CODES.includes(error.code) || attempt >= MAX_ATTEMPTS) {
+          throw error;
+        }
+
+        console.error(`Upload attempt ${attempt} failed, retrying:`, error);
+        await wait(BASE_RETRY_DELAY * 2 ** (attempt - 1));
+      }
+    }
+  };
+
+  const start = async () => {
+    canceled = false;
+
+    if (!manifestWritten) {
+      await setDoc(batchRef, { paths, createdAt: serverTimestamp() });
+      manifestWritten = true;
+    }
+
+    for (let index = 0; index < items.length; index++) {
+      if (results[index]) continue;
+
+      reportProgress(index, 0);
+      results[index] = await uploadWithRetry(index);
+
+      if (canceled) {
+        throw canceledError();
+      }
+    }
+
+    reportProgress(items.length, 0);
+    return [...results];
+  };
+
+  /**
+   * Stops the running upload and removes everything already uploaded
+   */
+  const cancel = async () => {
+    canceled = true;
+    currentTask?.cancel();
+
+    await Promise.all(paths.map(path =>
+      deleteObject(ref(storage, path)).catch(() => {})
+    ));
+
+    if (manifestWritten) {
+      await deleteDoc(batchRef).catch(error =>
+        console.error('Error removing upload manifest:', error)
+      );
+    }
+  };
+
+  return { batchRef, start, cancel };
+};
@@ -0,0 +1,175 @@
+/**
+ * User Resolver
+ * Batched, cached user profile lookups shared by feeds, comments and chats
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  documentId
+} from 'firebase/firestore';
+import { debounce } from 'lodash';
+import { db } from '../firebase';
+import { chunk, IN_QUERY_LIMIT } from './feedService';
+
+const CACHE_KEY = 'userProfileCache';
+const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_CACHED_USERS = 500;
+
+// uid -> { data, fetchedAt }, data is null for users that don't exist
+const memoryCache = new Map();
+// uid -> Promise, so concurrent requests for one user share a read
+const inFlight = new Map();
+// uid -> { resolve, reject } waiting for the next batch
+let pending = new Map();
+let flushScheduled = false;
+let diskCacheLoaded = null;
+
+const isFresh = (entry) => entry && Date.now() - entry.fetchedAt < CACHE_TTL;
+
+const loadDiskCache = () => {
+  if (!diskCacheLoaded) {
+    diskCacheLoaded = (async () => {
+      try {
+        const saved = await AsyncStorage.getItem(CACHE_KEY);
+        if (!saved) return;
+
+        Object.entries(JSON.parse(saved)).forEach(([uid, entry]) => {
+          if (isFresh(entry) && !memoryCache.has(uid)) {
+            memoryCache.set(uid, entry);
+          }
+        });
+      } catch (error) {
+        console.error('Error loading user cache:', error);
+      }
+    })();
+  }
+  return diskCacheLoaded;
+};
+
+const persistCache = debounce(async () => {
+  try {
+    const entries = [...memoryCache.entries()]
+      .filter(([, entry]) => isFresh(entry))
+      .sort((a, b) => b[1].fetchedAt - a[1].fetchedAt)
+      .slice(0, MAX_CACHED_USERS);
+
+    await AsyncStorage.setItem(CACHE_KEY, JSON.stringify(Object.fromEntries(entries)));
+  } catch (error) {
+    console.error('Error saving user cache:', error);
+  }
+}, 1000);
+
+const flushPending = async () => {
+  flushScheduled = false;
+  const batch = pending;
+  pending = new Map();
+
+  await Promise.all(chunk([...batch.keys()], IN_QUERY_LIMIT).map(async (ids) => {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, 'users'),
+        where(documentId(), 'in', ids)
+      ));
+
+      const found = new Map(snapshot.docs.map(docSnap => [docSnap.id, docSnap.data()]));
+      ids.forEach(uid => {
+        const data = found.get(uid) || null;
+        memoryCache.set(uid, { data, fetchedAt: Date.now() });
+        batch.get(uid).resolve(data);
+      });
+    } catch (error) {
+      ids.forEach(uid => batch.get(uid).reject(error));
+    }
+  }));
+
+  persistCache();
+};
+
+const queueLookup = (uid) => {
+  const promise = new Promise((resolve, reject) => {
+    pending.set(uid, { resolve, reject });
+  }).finally(() => inFlight.delete(uid));
+
+  inFlight.set(uid, promise);
+
+  // Collect every lookup made in the same tick into one batch
+  if (!flushScheduled) {
+    flushScheduled = true;
+    setTimeout(flushPending, 0);
+  }
+
+  return promise;
+};
+
+/**
+ * Returns a cached profile without reading Firestore, or undefined
+ */
+export const getCachedUser = (uid) => {
+  const entry = memoryCache.get(uid);
+  return isFresh(entry) ? entry.data : undefined;
+};
+
+/**
+ * Resolves a single user profile, or null if the user doesn't exist
+ */
+export const getUser = async (uid, { force = false } = {}) => {
+  if (!uid) return null;
+
+  await loadDiskCache();
+
+  if (!force) {
+    const entry = memoryCache.get(uid);
+    if (isFresh(entry)) return entry.data;
+  }
+
+  return inFlight.get(uid) || queueLookup(uid);
+};
+
+/**
+ * Resolves several profiles at once, returned as a Map keyed by uid
+ */
+export const getUsers = async (uids) => {
+  const uniqueIds = [...new Set(uids.filter(Boolean))];
+  const profiles = await Promise.all(uniqueIds.map(uid => getUser(uid)));
+  return new Map(uniqueIds.map((uid, index) => [uid, profiles[index]]));
+};
+
+/**
+ * Copies each item and attaches its author's profile,
+ * e.g. attachUsers(posts) sets post.user from post.userId
+ */
+export const attachUsers = async (items, idKey = 'userId', targetKey = 'user') => {
+  const profiles = await getUsers(items.map(item => item[idKey]));
+
+  return items.map(item => {
+    const profile = profiles.get(item[idKey]);
+    return profile ? { ...item, [targetKey]: profile } : { ...item };
+  });
+};
+
+/**
+ * Stores a profile we already have, e.g. after the user edits their own
+ */
+export const primeUser = (uid, data) => {
+  memoryCache.set(uid, { data, fetchedAt: Date.now() });
+  persistCache();
+};
+
+export const invalidateUser = (uid) => {
+  memoryCache.delete(uid);
+  persistCache();
+};
+
+export const clearUserCache = async () => {
+  memoryCache.clear();
+  persistCache.cancel();
+  try {
+    await AsyncStorage.removeItem(CACHE_KEY);
+  } catch (error) {
+    console.error('Error clearing user cache:', error);
+  }
+};